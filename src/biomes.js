@@ -0,0 +1,155 @@
+import { hash32, rand01 } from './rng.js';
+
+/**
+ * Biome (Voronoi region) lookup.
+ * - Seeds are bucketed on a uniform grid sized for ~1 seed per cell, so a point
+ *   query only looks at a few nearby cells instead of every seed
+ * - Rect queries return the few seeds that can own any pixel in the rect, so
+ *   chunk generation scans a handful of candidates (often just one)
+ * - Unbounded worlds generate one jittered seed per super-cell on demand
+ * Results are exact: identical to a brute-force nearest-seed scan.
+ * Seeds are { x, y, id }; the id is the region id.
+ */
+
+function dist2(ax, ay, bx, by) {
+  const dx = ax - bx, dy = ay - by;
+  return dx * dx + dy * dy;
+}
+
+function bruteForce(seeds, wx, wy) {
+  let best = Infinity;
+  let bestId = 0;
+  for (let i = 0; i < seeds.length; i++) {
+    const d = dist2(wx, wy, seeds[i].x, seeds[i].y);
+    if (d < best) { best = d; bestId = seeds[i].id; }
+  }
+  return bestId;
+}
+
+// Seeds that may be nearest for some point of the rect: a seed can only win
+// if its closest distance to the rect beats the best farthest distance.
+function pruneForRect(seeds, x0, y0, x1, y1) {
+  let bound = Infinity;
+  for (const s of seeds) {
+    const fx = Math.max(Math.abs(s.x - x0), Math.abs(s.x - x1));
+    const fy = Math.max(Math.abs(s.y - y0), Math.abs(s.y - y1));
+    bound = Math.min(bound, fx * fx + fy * fy);
+  }
+  const out = [];
+  for (const s of seeds) {
+    const nx = Math.max(x0, Math.min(x1, s.x));
+    const ny = Math.max(y0, Math.min(y1, s.y));
+    if (dist2(s.x, s.y, nx, ny) <= bound) out.push(s);
+  }
+  return out;
+}
+
+// seeds: [{ x, y, id }] inside [0..w) x [0..h), ids ascending
+export function createBiomeIndex(seeds, w, h) {
+  const cell = Math.max(1, Math.sqrt((w * h) / Math.max(1, seeds.length)));
+  const gw = Math.max(1, Math.ceil(w / cell));
+  const gh = Math.max(1, Math.ceil(h / cell));
+  const buckets = Array.from({ length: gw * gh }, () => []);
+
+  for (let i = 0; i < seeds.length; i++) {
+    const gx = Math.min(gw - 1, Math.floor(seeds[i].x / cell));
+    const gy = Math.min(gh - 1, Math.floor(seeds[i].y / cell));
+    buckets[gy * gw + gx].push(i);
+  }
+
+  // Nearest seed id. Ties go to the lowest id, like the brute-force scan.
+  function regionAt(wx, wy) {
+    if (!(wx >= 0 && wy >= 0 && wx < w && wy < h)) return bruteForce(seeds, wx, wy);
+
+    const gx = Math.floor(wx / cell);
+    const gy = Math.floor(wy / cell);
+    let best = Infinity;
+    let bestId = 0;
+    const maxR = Math.max(gw, gh);
+
+    for (let r = 0; r <= maxR; r++) {
+      // Cells in ring r+1 are at least r cells away from the query point.
+      if (r > 0 && best < ((r - 1) * cell) ** 2) break;
+      for (let oy = -r; oy <= r; oy++) {
+        const y = gy + oy;
+        if (y < 0 || y >= gh) continue;
+        for (let ox = -r; ox <= r; ox++) {
+          if (Math.max(Math.abs(ox), Math.abs(oy)) !== r) continue;
+          const x = gx + ox;
+          if (x < 0 || x >= gw) continue;
+          for (const i of buckets[y * gw + x]) {
+            const d = dist2(wx, wy, seeds[i].x, seeds[i].y);
+            if (d < best || (d === best && seeds[i].id < bestId)) { best = d; bestId = seeds[i].id; }
+          }
+        }
+      }
+    }
+    return bestId;
+  }
+
+  // Seeds that may be nearest for some point of [x0..x1] x [y0..y1].
+  function candidatesForRect(x0, y0, x1, y1) {
+    return pruneForRect(seeds, x0, y0, x1, y1);
+  }
+
+  return { regionAt, candidatesForRect };
+}
+
+/**
+ * Unbounded variant: one seed per cellPx super-cell, jittered anywhere inside
+ * it, generated from (gx, gy, salt). A point's nearest seed always lies within
+ * the surrounding 5x5 cells (ring 3 is >= 2 cells away, the own-cell seed is
+ * at most sqrt(2) cells away).
+ */
+export function createSuperCellBiomeIndex(salt, cellPx) {
+  function seedForCell(gx, gy) {
+    return {
+      x: (gx + rand01(hash32(gx, gy, salt))) * cellPx,
+      y: (gy + rand01(hash32(gx, gy, salt + 1))) * cellPx,
+      id: hash32(gx, gy, salt + 2),
+    };
+  }
+
+  function seedsAround(gx0, gy0, gx1, gy1) {
+    const out = [];
+    for (let gy = gy0; gy <= gy1; gy++) {
+      for (let gx = gx0; gx <= gx1; gx++) out.push(seedForCell(gx, gy));
+    }
+    return out;
+  }
+
+  function regionAt(wx, wy) {
+    const gx = Math.floor(wx / cellPx);
+    const gy = Math.floor(wy / cellPx);
+    let best = Infinity;
+    let bestId = 0;
+    for (const s of seedsAround(gx - 2, gy - 2, gx + 2, gy + 2)) {
+      const d = dist2(wx, wy, s.x, s.y);
+      if (d < best || (d === best && s.id < bestId)) { best = d; bestId = s.id; }
+    }
+    return bestId;
+  }
+
+  function candidatesForRect(x0, y0, x1, y1) {
+    const seeds = seedsAround(
+      Math.floor(x0 / cellPx) - 2, Math.floor(y0 / cellPx) - 2,
+      Math.floor(x1 / cellPx) + 2, Math.floor(y1 / cellPx) + 2,
+    );
+    return pruneForRect(seeds, x0, y0, x1, y1).sort((a, b) => a.id - b.id);
+  }
+
+  return { regionAt, candidatesForRect };
+}
+
+// Nearest among candidates (from candidatesForRect, ids ascending), lowest
+// id on ties.
+export function regionAmong(candidates, wx, wy) {
+  let best = Infinity;
+  let bestId = candidates[0].id;
+  for (let k = 0; k < candidates.length; k++) {
+    const s = candidates[k];
+    const d = dist2(wx, wy, s.x, s.y);
+    if (d < best) { best = d; bestId = s.id; }
+  }
+  return bestId;
+}
@@ -0,0 +1,122 @@
+import { WORLD_W, WORLD_H, CAMERA } from './config.js';
+import { clamp } from './math.js';
+
+/**
+ * Camera (no DOM).
+ * - Follows a target with smoothing and a velocity look-ahead; x/y is the
+ *   followed point (view centre) in world px
+ * - Zoom = screen px per world px, eased toward the requested level
+ * - Bounded worlds: the view is kept inside the world, so no void shows past
+ *   the edges; zooming out stops where the view would outgrow the world
+ * - shake() adds a decaying jitter to the view only; it never feeds back into
+ *   following
+ * - opts.integerZoom (pixel-perfect rendering): the zoom in effect is a whole
+ *   number, or 1/n when zoomed out, so world pixels map to whole target pixels
+ * view(screenW, screenH) gives the frame's { x, y, w, h, zoom }: the world
+ * position of the top-left corner and the view size in world px. Draw the
+ * world with ctx.scale(zoom, zoom) and x/y as the camera offset.
+ */
+export function createCamera(opts = {}) {
+  const cfg = { ...CAMERA, ...opts };
+  let bounded = opts.bounded ?? true;
+  let x = 0, y = 0;
+  let lookX = 0, lookY = 0;
+  let zoom = 1, targetZoom = 1;
+  let shakeAmp = 0, shakeLeft = 0, shakeDur = 1;
+  let shakeX = 0, shakeY = 0;
+
+  // Nearest allowed zoom (never below `min`) in integerZoom mode.
+  function effectiveZoom(z, min) {
+    z = Math.max(z, min);
+    if (!cfg.integerZoom) return z;
+    const snapped = z >= 1 ? Math.round(z) : 1 / Math.round(1 / z);
+    if (snapped >= min) return snapped;
+    return min >= 1 ? Math.ceil(min) : 1 / Math.floor(1 / min);
+  }
+
+  // Per-frame smoothing factor for a per-1/60 s rate.
+  const ease = (rate, dt) => 1 - Math.pow(1 - rate, dt * 60);
+
+  // View centre that keeps a w x h view (world px) inside a bounded world.
+  function clampCenter(cx, cy, w, h) {
+    if (!bounded) return { x: cx, y: cy };
+    return {
+      x: w >= WORLD_W ? WORLD_W / 2 : clamp(cx, w / 2, WORLD_W - w / 2),
+      y: h >= WORLD_H ? WORLD_H / 2 : clamp(cy, h / 2, WORLD_H - h / 2),
+    };
+  }
+
+  function snap(tx, ty) {
+    x = tx;
+    y = ty;
+    lookX = lookY = 0;
+  }
+
+  // target: { x, y, vx, vy } (the interpolated player).
+  function follow(dt, target) {
+    zoom += (targetZoom - zoom) * ease(cfg.zoomSmooth, dt);
+    if (Math.abs(targetZoom - zoom) < 1e-3) zoom = targetZoom;
+
+    const speed = Math.hypot(target.vx, target.vy);
+    const lead = Math.min(cfg.maxLookAhead, speed * cfg.lookAhead);
+    const k = ease(cfg.lookSmooth, dt);
+    lookX += ((speed ? target.vx / speed * lead : 0) - lookX) * k;
+    lookY += ((speed ? target.vy / speed * lead : 0) - lookY) * k;
+
+    const f = ease(cfg.smooth, dt);
+    x += (target.x + lookX - x) * f;
+    y += (target.y + lookY - y) * f;
+
+    if (shakeLeft > 0) {
+      shakeLeft = Math.max(0, shakeLeft - dt);
+      const amp = shakeAmp * (shakeLeft / shakeDur);
+      shakeX = (Math.random() * 2 - 1) * amp;
+      shakeY = (Math.random() * 2 - 1) * amp;
+    } else {
+      shakeX = shakeY = 0;
+    }
+  }
+
+  // pixelRatio: device px per screen px; the corner is snapped to whole
+  // device pixels so chunk edges stay crisp.
+  function view(screenW, screenH, pixelRatio = 1) {
+    const z = effectiveZoom(zoom, bounded ? Math.max(screenW / WORLD_W, screenH / WORLD_H) : 0);
+    const w = screenW / z, h = screenH / z;
+    const c = clampCenter(x + shakeX / z, y + shakeY / z, w, h);
+    const u = z * pixelRatio;
+    return {
+      x: Math.round((c.x - w / 2) * u) / u,
+      y: Math.round((c.y - h / 2) * u) / u,
+      w, h, zoom: z,
+    };
+  }
+
+  function setZoom(z, immediate = false) {
+    targetZoom = clamp(z, cfg.minZoom, cfg.maxZoom);
+    if (immediate) zoom = targetZoom;
+  }
+
+  // amount in screen px; a weaker shake never cuts a stronger one short.
+  function shake(amount, duration = cfg.shakeDuration) {
+    const left = shakeLeft > 0 ? shakeAmp * (shakeLeft / shakeDur) : 0;
+    if (amount < left || duration <= 0) return;
+    shakeAmp = amount;
+    shakeLeft = shakeDur = duration;
+  }
+
+  return {
+    snap,
+    follow,
+    view,
+    clampCenter,
+    setZoom,
+    zoomBy: (factor) => setZoom(targetZoom * factor),
+    shake,
+    get x() { return x; },
+    get y() { return y; },
+    get zoom() { return zoom; },
+    get targetZoom() { return targetZoom; },
+    get bounded() { return bounded; },
+    set bounded(v) { bounded = !!v; },
+  };
+}
@@ -1,4 +1,38 @@
-export function createCanvasSystem(canvasOrId = 'game') {
+import { RENDER } from './config.js';
+
+/**
+ * Canvas setup.
+ * - Native mode: ctx draws straight onto the page canvas in CSS px (the
+ *   device pixel ratio is applied with setTransform)
+ * - opts.virtual = { w, h }: ctx draws into a fixed-resolution render target
+ *   instead; present() upscales it by a whole factor (when it fits) with
+ *   smoothing off and letterboxes it in black, so every target pixel becomes
+ *   the same square block on screen
+ * - screenCtx always draws onto the page canvas in CSS px, for overlays
+ *   that should stay sharp (map, minimap, debug text)
+ * width/height/pixelRatio describe ctx: its size in its own units and device
+ * pixels per unit (snap positions to 1 / pixelRatio to stay on the grid).
+ */
+// ?pixel= value -> render target size, or null for native rendering:
+// '1' (or anything else) is the default size, 'WxH' picks one.
+export function parsePixelParam(value) {
+  if (value == null || value === '0') return null;
+  const m = /^(\d+)x(\d+)$/.exec(value);
+  if (m && +m[1] > 0 && +m[2] > 0) return { w: +m[1], h: +m[2] };
+  return { w: RENDER.virtualW, h: RENDER.virtualH };
+}
+
+// Where a targetW x targetH render target lands on a canvasW x canvasH page
+// canvas (device px): the largest whole scale that fits, centred.
+export function presentRect(canvasW, canvasH, targetW, targetH) {
+  const fit = Math.min(canvasW / targetW, canvasH / targetH);
+  // A window smaller than the target still shows all of it, just not crisply.
+  const scale = fit >= 1 ? Math.floor(fit) : fit;
+  const w = Math.round(targetW * scale), h = Math.round(targetH * scale);
+  return { x: Math.floor((canvasW - w) / 2), y: Math.floor((canvasH - h) / 2), w, h, scale };
+}
+
+export function createCanvasSystem(canvasOrId = 'game', opts = {}) {
   // Accept either an element or an element id string.
   let canvas =
     (canvasOrId && typeof canvasOrId === 'object' && canvasOrId.tagName === 'CANVAS')
@@ -13,8 +47,18 @@ export function createCanvasSystem(canvasOrId = 'game') {
     document.body.prepend(canvas);
   }
 
-  const ctx = canvas.getContext('2d', { alpha: false });
-  if (!ctx) throw new Error('2D context not available (canvas.getContext failed)');
+  const screenCtx = canvas.getContext('2d', { alpha: false });
+  if (!screenCtx) throw new Error('2D context not available (canvas.getContext failed)');
+
+  let target = null;
+  let ctx = screenCtx;
+  if (opts.virtual) {
+    target = document.createElement('canvas');
+    target.width = opts.virtual.w;
+    target.height = opts.virtual.h;
+    ctx = target.getContext('2d', { alpha: false });
+    ctx.imageSmoothingEnabled = false;
+  }
 
   let dpr = 1;
 
@@ -23,17 +67,36 @@ export function createCanvasSystem(canvasOrId = 'game') {
     canvas.width = Math.floor(window.innerWidth * dpr);
     canvas.height = Math.floor(window.innerHeight * dpr);
     // Use setTransform so all drawing uses CSS pixels.
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    screenCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
     return { w: window.innerWidth, h: window.innerHeight, dpr };
   }
 
+  // Copy the render target to the page (no-op in native mode).
+  function present() {
+    if (!target) return;
+    const r = presentRect(canvas.width, canvas.height, target.width, target.height);
+    screenCtx.save();
+    screenCtx.setTransform(1, 0, 0, 1, 0, 0);
+    screenCtx.fillStyle = '#000';
+    screenCtx.fillRect(0, 0, canvas.width, canvas.height);
+    screenCtx.imageSmoothingEnabled = false;
+    screenCtx.drawImage(target, r.x, r.y, r.w, r.h);
+    screenCtx.restore();
+  }
+
   addEventListener('resize', resize);
   resize();
 
   return {
     canvas,
     ctx,
+    screenCtx,
     resize,
+    present,
+    get virtual() { return !!target; },
+    get width() { return target ? target.width : window.innerWidth; },
+    get height() { return target ? target.height : window.innerHeight; },
+    get pixelRatio() { return target ? 1 : dpr; },
     get dpr() { return dpr; },
   };
 }
@@ -0,0 +1,399 @@
+import {
+  TILE, CHUNK_TILES, CHUNK_PX,
+  WORLD_CHUNKS_W, WORLD_CHUNKS_H,
+  WORLD_W, WORLD_H,
+  LAYERS, PORTAL, PORTAL_VARIETY,
+} from './config.js';
+import { clamp } from './math.js';
+import { hash32, rand01, mixSeed } from './rng.js';
+import { createBiomeIndex, createSuperCellBiomeIndex, regionAmong } from './biomes.js';
+import { createDecor } from './decor.js';
+
+/**
+ * Chunk generation (v0.5.0)
+ * - Large biome regions (Voronoi in world-pixel space)
+ * - Multiple materials per layer (surface/caves/deep)
+ * - Chunk-seamless borders and subtle height modulation
+ * - Biome props (trees, cacti, stalagmites, crystals) painted on top, see decor.js
+ * - Border outline is intentionally 1px wider than before
+ * - Pure data (no DOM), so it runs on the main thread, in workers or in Node
+ */
+
+// --- Tuning knobs (per-layer overrides live in LAYERS[i].gen) ---
+const VORONOI_SEEDS = 16;       // fewer seeds => larger biome regions (>= ~3 chunks on avg)
+const NOISE_CELL_PX = 160;      // low-frequency height modulation
+const HEIGHT_STRENGTH = 0.030;  // subtle variation (tile-art vibe)
+
+function layerDef(layer) {
+  return LAYERS[layer] || LAYERS[0];
+}
+
+// Outline + dark bands (pixel-art border feel)
+const C_OUTLINE = [63, 63, 63];
+const BAND1_MUL = 0.74; // strong near-edge dark
+const BAND2_MUL = 0.87; // softer outer edge dark
+
+// Solid tiles are drawn darker so walls read at a glance.
+const WALL_MUL = 0.58;
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+function valueNoise01(wx, wy, salt) {
+  // Value noise on a NOISE_CELL_PX grid with smooth interpolation; output [0..1]
+  const gx = Math.floor(wx / NOISE_CELL_PX);
+  const gy = Math.floor(wy / NOISE_CELL_PX);
+  const fx = (wx - gx * NOISE_CELL_PX) / NOISE_CELL_PX;
+  const fy = (wy - gy * NOISE_CELL_PX) / NOISE_CELL_PX;
+
+  const sx = smoothstep(fx);
+  const sy = smoothstep(fy);
+
+  const v00 = rand01(hash32(gx,     gy,     salt));
+  const v10 = rand01(hash32(gx + 1, gy,     salt));
+  const v01 = rand01(hash32(gx,     gy + 1, salt));
+  const v11 = rand01(hash32(gx + 1, gy + 1, salt));
+
+  const vx0 = lerp(v00, v10, sx);
+  const vx1 = lerp(v01, v11, sx);
+  return lerp(vx0, vx1, sy);
+}
+
+function makeSeedsForLayer(layer, worldSeed) {
+  // Deterministic world-space Voronoi seeds per layer (stable, seamless across chunks).
+  const count = layerDef(layer).gen?.voronoiSeeds ?? VORONOI_SEEDS;
+  const seeds = new Array(count);
+  const salt = mixSeed(9001 + layer * 97, worldSeed);
+  for (let i = 0; i < count; i++) {
+    const sx = rand01(hash32(i, 0, salt)) * (WORLD_W - 1);
+    const sy = rand01(hash32(i, 1, salt)) * (WORLD_H - 1);
+    seeds[i] = { x: sx, y: sy, id: i };
+  }
+  return seeds;
+}
+
+function makeIndexForLayer(layer, worldSeed, infinite) {
+  if (!infinite) return createBiomeIndex(makeSeedsForLayer(layer, worldSeed), WORLD_W, WORLD_H);
+  // Same average region size as the bounded world, one seed per super-cell.
+  const count = layerDef(layer).gen?.voronoiSeeds ?? VORONOI_SEEDS;
+  const cellPx = Math.sqrt((WORLD_W * WORLD_H) / count);
+  return createSuperCellBiomeIndex(mixSeed(9001 + layer * 97, worldSeed), cellPx);
+}
+
+function materialForRegion(layer, regionId) {
+  const pal = layerDef(layer).palette;
+  return pal[regionId % pal.length];
+}
+
+// Flat colour shown while a chunk is still being generated.
+export function placeholderColor(layer) {
+  const [r, g, b] = materialForRegion(layer, 0).rgb;
+  return [Math.round(r * 0.8), Math.round(g * 0.8), Math.round(b * 0.8)];
+}
+
+function dilate8(mask, w, h) {
+  // mask: Uint8Array of 0/1
+  const out = new Uint8Array(mask.length);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.max(0, y - 1);
+    const y1 = Math.min(h - 1, y + 1);
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.max(0, x - 1);
+      const x1 = Math.min(w - 1, x + 1);
+      let v = 0;
+      for (let yy = y0; yy <= y1 && !v; yy++) {
+        const row = yy * w;
+        for (let xx = x0; xx <= x1; xx++) {
+          if (mask[row + xx]) { v = 1; break; }
+        }
+      }
+      out[y * w + x] = v;
+    }
+  }
+  return out;
+}
+
+// Solidity grids kept in unbounded worlds before the oldest are dropped.
+const SOLID_CACHE_MAX = 8192;
+const CORRIDOR_CACHE_MAX = 4096;
+
+// Chunks around a chunk whose portal clearings (plus corridor) can reach it.
+const CORRIDOR_REACH = Math.ceil(
+  (Math.hypot(PORTAL.mouthW * PORTAL_VARIETY.sizeMax / 2, PORTAL.depth * PORTAL_VARIETY.depthMax) + TILE +
+    PORTAL.corridorMax * TILE) / CHUNK_PX,
+);
+
+// Everything derived from (seed, layer, cx, cy); two generators built from the
+// same seed produce identical chunks, which is what the worker pool relies on.
+// opts.infinite: unbounded plane (any integer chunk coords) instead of the
+// WORLD_CHUNKS_W x WORLD_CHUNKS_H box.
+export function createChunkGenerator(portalSystem, seed, opts = {}) {
+  const infinite = !!opts.infinite;
+  const chunkKey = (layer, cx, cy) => `${layer}:${cx}:${cy}`;
+
+  const indexByLayer = LAYERS.map((_, layer) => makeIndexForLayer(layer, seed, infinite));
+
+  // Biome under a world pixel: Voronoi region id plus its palette material.
+  function biomeAt(layer, wx, wy) {
+    const index = indexByLayer[layer] || indexByLayer[0];
+    const region = index.regionAt(wx, wy);
+    return { region, material: materialForRegion(layer, region) };
+  }
+
+  // Tile solidity per chunk (CHUNK_TILES^2, 1 = solid). Cheap, so it is kept
+  // independently of the image cache (bounded by insertion order when the
+  // world is infinite).
+  const solidCache = new Map();
+
+  // Solidity from the biome alone (no portal clearings).
+  function naturalSolid(layer, tx, ty) {
+    if (!infinite && (tx < 0 || ty < 0 || tx >= WORLD_CHUNKS_W * CHUNK_TILES || ty >= WORLD_CHUNKS_H * CHUNK_TILES)) return true;
+    return !biomeAt(layer, tx * TILE + TILE / 2, ty * TILE + TILE / 2).material.walkable;
+  }
+
+  const corridorCache = new Map(); // "layer:clearing id" -> [[tx, ty], ...]
+
+  // A clearing cut into solid rock could leave the portal in a sealed pocket,
+  // so a corridor is dug (shortest 4-connected path, at most
+  // PORTAL.corridorMax tiles) to the nearest naturally walkable tile. Empty
+  // when the clearing already touches open ground or nothing is in reach.
+  function corridorFor(layer, c) {
+    const key = `${layer}:${c.id}`;
+    let path = corridorCache.get(key);
+    if (path) return path;
+    if (corridorCache.size >= CORRIDOR_CACHE_MAX) corridorCache.delete(corridorCache.keys().next().value);
+
+    const max = PORTAL.corridorMax;
+    const span = Math.ceil(c.r / TILE) + max + 1;
+    const tx0 = Math.floor(c.x / TILE) - span, ty0 = Math.floor(c.y / TILE) - span;
+    const size = span * 2 + 1;
+    const dist = new Int16Array(size * size).fill(-1);
+    const prev = new Int32Array(size * size).fill(-1);
+    const queue = [];
+    const inClearing = (tx, ty) => Math.hypot(tx * TILE + TILE / 2 - c.x, ty * TILE + TILE / 2 - c.y) <= c.r;
+
+    path = [];
+    let open = false, found = -1;
+    for (let i = 0; i < size * size && !open; i++) {
+      const tx = tx0 + (i % size), ty = ty0 + Math.floor(i / size);
+      if (!inClearing(tx, ty)) continue;
+      open = !naturalSolid(layer, tx, ty);
+      dist[i] = 0;
+      queue.push(i);
+    }
+    if (open) queue.length = 0;
+
+    for (let q = 0; q < queue.length && found < 0; q++) {
+      const i = queue[q];
+      if (dist[i] >= max) continue;
+      const x = i % size, y = Math.floor(i / size);
+      for (const [nx, ny] of [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]]) {
+        if (nx < 0 || ny < 0 || nx >= size || ny >= size) continue;
+        const j = ny * size + nx;
+        if (dist[j] !== -1) continue;
+        dist[j] = dist[i] + 1;
+        prev[j] = i;
+        if (!naturalSolid(layer, tx0 + nx, ty0 + ny)) { found = j; break; }
+        queue.push(j);
+      }
+    }
+    // Walk back from the open tile; the tiles in between get dug.
+    for (let i = found >= 0 ? prev[found] : -1; i >= 0 && dist[i] > 0; i = prev[i]) {
+      path.push([tx0 + (i % size), ty0 + Math.floor(i / size)]);
+    }
+
+    corridorCache.set(key, path);
+    return path;
+  }
+
+  function solidGrid(layer, cx, cy) {
+    const key = chunkKey(layer, cx, cy);
+    let grid = solidCache.get(key);
+    if (grid) return grid;
+
+    if (solidCache.size >= SOLID_CACHE_MAX) solidCache.delete(solidCache.keys().next().value);
+
+    const index = indexByLayer[layer] || indexByLayer[0];
+    grid = new Uint8Array(CHUNK_TILES * CHUNK_TILES);
+    for (let ty = 0; ty < CHUNK_TILES; ty++) {
+      for (let tx = 0; tx < CHUNK_TILES; tx++) {
+        const wx = cx * CHUNK_PX + tx * TILE + TILE / 2;
+        const wy = cy * CHUNK_PX + ty * TILE + TILE / 2;
+        const mat = materialForRegion(layer, index.regionAt(wx, wy));
+        grid[ty * CHUNK_TILES + tx] = mat.walkable ? 0 : 1;
+      }
+    }
+
+    // Portal mouths (and the ground around them) are always walkable, on both
+    // sides of the link, and joined to open ground by a corridor, so an
+    // entrance or exit is never sealed in rock. Clearings and corridors can
+    // spill over from neighbouring chunks.
+    const R = CORRIDOR_REACH;
+    for (let oy = -R; oy <= R; oy++) for (let ox = -R; ox <= R; ox++) {
+      for (const c of portalSystem.clearingsForChunk(layer, cx + ox, cy + oy)) {
+        if (Math.abs(ox) <= 1 && Math.abs(oy) <= 1) {
+          for (let ty = 0; ty < CHUNK_TILES; ty++) {
+            for (let tx = 0; tx < CHUNK_TILES; tx++) {
+              const wx = cx * CHUNK_PX + tx * TILE + TILE / 2;
+              const wy = cy * CHUNK_PX + ty * TILE + TILE / 2;
+              if (Math.hypot(wx - c.x, wy - c.y) <= c.r) grid[ty * CHUNK_TILES + tx] = 0;
+            }
+          }
+        }
+        for (const [tx, ty] of corridorFor(layer, c)) {
+          const lx = tx - cx * CHUNK_TILES, ly = ty - cy * CHUNK_TILES;
+          if (lx >= 0 && ly >= 0 && lx < CHUNK_TILES && ly < CHUNK_TILES) grid[ly * CHUNK_TILES + lx] = 0;
+        }
+      }
+    }
+
+    solidCache.set(key, grid);
+    return grid;
+  }
+
+  function isSolidTile(layer, tx, ty) {
+    // Outside a bounded world counts as solid.
+    if (!infinite && (tx < 0 || ty < 0 || tx >= WORLD_CHUNKS_W * CHUNK_TILES || ty >= WORLD_CHUNKS_H * CHUNK_TILES)) return true;
+    const cx = Math.floor(tx / CHUNK_TILES);
+    const cy = Math.floor(ty / CHUNK_TILES);
+    const grid = solidGrid(layer, cx, cy);
+    return grid[(ty - cy * CHUNK_TILES) * CHUNK_TILES + (tx - cx * CHUNK_TILES)] === 1;
+  }
+
+  // RGBA pixels for one chunk (CHUNK_PX x CHUNK_PX), crisp borders included.
+  function genChunkPixels(layer, cx, cy) {
+    const data = new Uint8ClampedArray(CHUNK_PX * CHUNK_PX * 4);
+
+    const index = indexByLayer[layer] || indexByLayer[0];
+    // Bounded worlds repeat their edge pixels past the border.
+    const clampX = (wx) => (infinite ? wx : clamp(wx, 0, WORLD_W - 1));
+    const clampY = (wy) => (infinite ? wy : clamp(wy, 0, WORLD_H - 1));
+
+    // We do border dilation up to 3 px (outline wider + 2 dark bands).
+    const PAD = 3;
+    const PW = CHUNK_PX + PAD * 2;
+    const PH = CHUNK_PX + PAD * 2;
+
+    const region = new Uint32Array(PW * PH);
+
+    // Region IDs in world-pixel space.
+    // Only seeds that can own part of this padded chunk are scanned; chunks
+    // inside a single biome skip the per-pixel work entirely.
+    const rx0 = clampX(cx * CHUNK_PX - PAD);
+    const ry0 = clampY(cy * CHUNK_PX - PAD);
+    const rx1 = clampX(cx * CHUNK_PX + PW - 1 - PAD);
+    const ry1 = clampY(cy * CHUNK_PX + PH - 1 - PAD);
+    const candidates = index.candidatesForRect(rx0, ry0, rx1, ry1);
+
+    if (candidates.length === 1) {
+      region.fill(candidates[0].id);
+    } else {
+      for (let py = 0; py < PH; py++) {
+        const wy = cy * CHUNK_PX + (py - PAD);
+        const clampedWy = clampY(wy);
+        const row = py * PW;
+        for (let px = 0; px < PW; px++) {
+          const wx = cx * CHUNK_PX + (px - PAD);
+          const clampedWx = clampX(wx);
+          region[row + px] = regionAmong(candidates, clampedWx, clampedWy);
+        }
+      }
+    }
+
+    // Edge pixels (4-neighbor differences: right/down)
+    const edge = new Uint8Array(PW * PH);
+    for (let py = 0; py < PH; py++) {
+      const row = py * PW;
+      for (let px = 0; px < PW; px++) {
+        const id = region[row + px];
+        let e = 0;
+        if (px + 1 < PW && region[row + (px + 1)] !== id) e = 1;
+        if (py + 1 < PH && region[(py + 1) * PW + px] !== id) e = 1;
+        edge[row + px] = e;
+      }
+    }
+
+    // Make outline 1px wider than the previous look:
+    // outline = dilate1(edge) (so it includes edge + neighbors => thicker stroke)
+    const d1 = dilate8(edge, PW, PH);         // outline (wider)
+    const d2 = dilate8(d1, PW, PH);           // outline + band1
+    const d3 = dilate8(d2, PW, PH);           // outline + band1 + band2
+
+    const outline = d1;
+    const band1 = new Uint8Array(PW * PH);
+    const band2 = new Uint8Array(PW * PH);
+
+    for (let i = 0; i < band1.length; i++) band1[i] = (d2[i] && !d1[i]) ? 1 : 0;
+    for (let i = 0; i < band2.length; i++) band2[i] = (d3[i] && !d2[i]) ? 1 : 0;
+
+    const solid = solidGrid(layer, cx, cy);
+
+    // Base fill with subtle height modulation.
+    const heightSalt = mixSeed(7777 + layer * 131, seed);
+    const heightStrength = layerDef(layer).gen?.heightStrength ?? HEIGHT_STRENGTH;
+
+    for (let y = 0; y < CHUNK_PX; y++) {
+      const wy = cy * CHUNK_PX + y;
+      const rowImg = y * CHUNK_PX;
+      const rowP = (y + PAD) * PW;
+
+      for (let x = 0; x < CHUNK_PX; x++) {
+        const wx = cx * CHUNK_PX + x;
+
+        const pid = region[rowP + (x + PAD)];
+        const base = materialForRegion(layer, pid).rgb;
+
+        let r = base[0], gg = base[1], b = base[2];
+
+        if (solid[Math.floor(y / TILE) * CHUNK_TILES + Math.floor(x / TILE)]) {
+          r *= WALL_MUL; gg *= WALL_MUL; b *= WALL_MUL;
+        }
+
+        // Height modulation only affects the base.
+        const h = valueNoise01(wx, wy, heightSalt) - 0.5; // [-0.5..+0.5]
+        const mul = 1 + h * heightStrength;
+        r = Math.max(0, Math.min(255, Math.round(r * mul)));
+        gg = Math.max(0, Math.min(255, Math.round(gg * mul)));
+        b = Math.max(0, Math.min(255, Math.round(b * mul)));
+
+        const idxP = rowP + (x + PAD);
+
+        if (band2[idxP]) {
+          r = Math.round(r * BAND2_MUL);
+          gg = Math.round(gg * BAND2_MUL);
+          b = Math.round(b * BAND2_MUL);
+        }
+        if (band1[idxP]) {
+          r = Math.round(r * BAND1_MUL);
+          gg = Math.round(gg * BAND1_MUL);
+          b = Math.round(b * BAND1_MUL);
+        }
+        if (outline[idxP]) {
+          r = C_OUTLINE[0];
+          gg = C_OUTLINE[1];
+          b = C_OUTLINE[2];
+        }
+
+        const di = (rowImg + x) * 4;
+        data[di + 0] = r;
+        data[di + 1] = gg;
+        data[di + 2] = b;
+        data[di + 3] = 255;
+      }
+    }
+
+    decor.paintChunk(data, layer, cx, cy);
+    return data;
+  }
+
+  const decor = createDecor(portalSystem, seed, { infinite, biomeAt, isSolidTile });
+
+  return {
+    infinite,
+    biomeAt,
+    solidGrid,
+    isSolidTile,
+    genChunkPixels,
+    propsForChunk: decor.propsForChunk,
+  };
+}
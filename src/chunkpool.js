@@ -0,0 +1,113 @@
+import { CHUNK_WORKERS_MAX } from './config.js';
+
+// Per-worker in-flight limit; the rest waits in our own queues so that the
+// newest (on-screen) requests can jump ahead of stale ones, and prefetches
+// ({ low: true }) only run when nothing on screen is waiting.
+const MAX_IN_FLIGHT = 2;
+
+/**
+ * Chunk generation off the main thread.
+ * request(layer, cx, cy, cb, { low }) -> cb({ bitmap | pixels, ms } | null)
+ * null means the pool failed and the caller should generate synchronously.
+ * terminate() stops the workers and drops every pending callback (the world
+ * they were for is gone).
+ * opts.onError(err) hears about a worker failure (generation then falls back
+ * to the main thread).
+ * Returns null when workers are unavailable.
+ */
+export function createChunkWorkerPool(opts = {}) {
+  if (typeof Worker === 'undefined') return null;
+
+  const seed = (opts.seed ?? 0) >>> 0;
+  const infinite = !!opts.infinite;
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  const size = opts.size ?? Math.max(1, Math.min(CHUNK_WORKERS_MAX, cores - 1));
+
+  const workers = [];
+  const queue = [];          // LIFO
+  const lowQueue = [];       // LIFO, prefetches
+  const jobs = new Map();    // id -> job
+  let nextId = 1;
+  let broken = false;
+
+  function fail() {
+    if (broken) return;
+    broken = true;
+    for (const w of workers) w.terminate();
+    const all = [...jobs.values(), ...queue, ...lowQueue];
+    jobs.clear();
+    queue.length = 0;
+    lowQueue.length = 0;
+    for (const job of all) job.cb(null);
+  }
+
+  for (let i = 0; i < size; i++) {
+    let w;
+    try {
+      w = new Worker(new URL('./chunkworker.js', import.meta.url), { type: 'module' });
+    } catch {
+      for (const other of workers) other.terminate();
+      return null;
+    }
+    w.inFlight = 0;
+    w.onmessage = (ev) => {
+      const { id, bitmap, pixels, ms } = ev.data;
+      const job = jobs.get(id);
+      w.inFlight--;
+      if (job) {
+        jobs.delete(id);
+        job.cb(bitmap ? { bitmap, ms } : { pixels, ms });
+      }
+      pump();
+    };
+    w.onerror = (ev) => {
+      if (!broken) opts.onError?.(new Error(`chunk worker failed (${ev.message || 'unknown error'}), generating on the main thread`));
+      fail();
+    };
+    w.postMessage({ type: 'init', seed, infinite });
+    workers.push(w);
+  }
+
+  function pump() {
+    if (broken) return;
+    for (const w of workers) {
+      while (w.inFlight < MAX_IN_FLIGHT && (queue.length || lowQueue.length)) {
+        const job = queue.length ? queue.pop() : lowQueue.pop();
+        jobs.set(job.id, job);
+        w.inFlight++;
+        w.postMessage({ type: 'gen', id: job.id, layer: job.layer, cx: job.cx, cy: job.cy });
+      }
+    }
+  }
+
+  function request(layer, cx, cy, cb, { low = false } = {}) {
+    if (broken) { cb(null); return; }
+    (low ? lowQueue : queue).push({ id: nextId++, layer, cx, cy, cb });
+    pump();
+  }
+
+  // A prefetch that became visible before it ran moves to the main queue.
+  function promote(layer, cx, cy) {
+    const i = lowQueue.findIndex((j) => j.layer === layer && j.cx === cx && j.cy === cy);
+    if (i === -1) return;
+    queue.push(lowQueue.splice(i, 1)[0]);
+    pump();
+  }
+
+  function terminate() {
+    broken = true;
+    for (const w of workers) w.terminate();
+    jobs.clear();
+    queue.length = 0;
+    lowQueue.length = 0;
+  }
+
+  return {
+    request,
+    promote,
+    terminate,
+    get size() { return workers.length; },
+    get queued() { return queue.length + lowQueue.length; },
+    get broken() { return broken; },
+  };
+}
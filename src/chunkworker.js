@@ -0,0 +1,32 @@
+// Worker entry for chunkpool.js: builds its own generator from the world seed
+// and answers { type: 'gen' } requests with chunk pixels.
+import { CHUNK_PX } from './config.js';
+import { createPortalSystem } from './portals.js';
+import { createChunkGenerator } from './chunkgen.js';
+
+let gen = null;
+
+self.onmessage = (ev) => {
+  const msg = ev.data;
+
+  if (msg.type === 'init') {
+    gen = createChunkGenerator(createPortalSystem({ seed: msg.seed, infinite: msg.infinite }), msg.seed, { infinite: msg.infinite });
+    return;
+  }
+
+  if (msg.type === 'gen') {
+    const t0 = performance.now();
+    const data = gen.genChunkPixels(msg.layer, msg.cx, msg.cy);
+    const ms = performance.now() - t0;
+
+    // Prefer an ImageBitmap: the main thread can draw it without any copy.
+    if (typeof OffscreenCanvas !== 'undefined') {
+      const off = new OffscreenCanvas(CHUNK_PX, CHUNK_PX);
+      off.getContext('2d').putImageData(new ImageData(data, CHUNK_PX, CHUNK_PX), 0, 0);
+      const bitmap = off.transferToImageBitmap();
+      self.postMessage({ id: msg.id, bitmap, ms }, [bitmap]);
+    } else {
+      self.postMessage({ id: msg.id, pixels: data, ms }, [data.buffer]);
+    }
+  }
+};
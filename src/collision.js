@@ -0,0 +1,79 @@
+import { TILE } from './config.js';
+import { clamp } from './math.js';
+
+// Circle vs solid-tile collision. body: { x, y, vx, vy, r }
+// Moves the body by (dx, dy), pushing it out of solid tiles and removing the
+// velocity component that points into a wall so the body slides along it.
+export function moveCircle(world, layer, body, dx, dy) {
+  // Sub-step so a fast body can't tunnel through a single tile.
+  const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / (TILE * 0.5)));
+  for (let i = 0; i < steps; i++) {
+    body.x += dx / steps;
+    body.y += dy / steps;
+    // A push out of one tile can land in a neighbour (inside corners), so
+    // settle over a few passes.
+    for (let pass = 0; pass < 4; pass++) {
+      if (!resolveCircle(world, layer, body)) break;
+    }
+  }
+}
+
+export function circleHitsSolid(world, layer, x, y, r) {
+  const tx0 = Math.floor((x - r) / TILE), tx1 = Math.floor((x + r) / TILE);
+  const ty0 = Math.floor((y - r) / TILE), ty1 = Math.floor((y + r) / TILE);
+  for (let ty = ty0; ty <= ty1; ty++) for (let tx = tx0; tx <= tx1; tx++) {
+    if (!world.isSolidTile(layer, tx, ty)) continue;
+    const nx = clamp(x, tx * TILE, tx * TILE + TILE);
+    const ny = clamp(y, ty * TILE, ty * TILE + TILE);
+    if (Math.hypot(x - nx, y - ny) < r - 0.01) return true;
+  }
+  return false;
+}
+
+function resolveCircle(world, layer, body) {
+  const r = body.r;
+  const tx0 = Math.floor((body.x - r) / TILE), tx1 = Math.floor((body.x + r) / TILE);
+  const ty0 = Math.floor((body.y - r) / TILE), ty1 = Math.floor((body.y + r) / TILE);
+  let hit = false;
+
+  for (let ty = ty0; ty <= ty1; ty++) for (let tx = tx0; tx <= tx1; tx++) {
+    if (!world.isSolidTile(layer, tx, ty)) continue;
+
+    const left = tx * TILE, top = ty * TILE;
+    const nx = clamp(body.x, left, left + TILE);
+    const ny = clamp(body.y, top, top + TILE);
+    let ox = body.x - nx;
+    let oy = body.y - ny;
+    let d = Math.hypot(ox, oy);
+    if (d >= r) continue;
+
+    let push;
+    if (d < 1e-6) {
+      // Centre is inside the tile: leave through the nearest edge.
+      const exits = [
+        { d: body.x - left,         ox: -1, oy: 0 },
+        { d: left + TILE - body.x,  ox: 1,  oy: 0 },
+        { d: body.y - top,          ox: 0,  oy: -1 },
+        { d: top + TILE - body.y,   ox: 0,  oy: 1 },
+      ];
+      let best = exits[0];
+      for (const e of exits) if (e.d < best.d) best = e;
+      ox = best.ox; oy = best.oy; d = 1;
+      push = best.d + r;
+    } else {
+      ox /= d; oy /= d;
+      push = r - d;
+    }
+
+    body.x += ox * push;
+    body.y += oy * push;
+    hit = true;
+
+    const vn = body.vx * ox + body.vy * oy;
+    if (vn < 0) {
+      body.vx -= vn * ox;
+      body.vy -= vn * oy;
+    }
+  }
+  return hit;
+}
@@ -11,10 +11,69 @@ export const WORLD_CHUNKS_H = 12;
 export const WORLD_W = WORLD_CHUNKS_W * CHUNK_PX;
 export const WORLD_H = WORLD_CHUNKS_H * CHUNK_PX;
 
-export const LAYER0 = 0;
-export const LAYER1 = 1;
-export const LAYER2 = 2;
-export const LAYER_NAMES = ['Surface', 'Cave', 'Deep'];
+// Layer table, top to bottom. Each layer links to the one below it with
+// portals (see LAYER_LINKS), and rarely to layers further down (SKIP_LINKS).
+// Palette entries are biome "materials" with an RGB base color; non-walkable
+// materials are solid walls.
+// Optional movement multipliers per material (default 1): speed (max speed),
+// accel, friction (low friction => sliding).
+// gen: optional per-layer generation overrides (voronoiSeeds, heightStrength).
+// mapColor: marker color for portals leading to this layer on the map.
+// ambient: light level without light sources (1 = fully lit, the default);
+// material glow (0..1) makes tiles emit light in the dark.
+// decor: props scattered on a material, kind -> chance per DECOR.cellPx cell
+// (see decor.js; purely visual, they never block movement).
+export const LAYERS = [
+  {
+    name: 'Surface',
+    background: '#0b2417',
+    mapColor: '#a3e635',
+    palette: [
+      { name: 'grass',  rgb: [ 94, 119,  19], walkable: true, decor: { tree: 0.03, bush: 0.07 } },
+      { name: 'sand',   rgb: [191, 139,  50], walkable: true, speed: 0.68, accel: 0.8, decor: { cactus: 0.04 } },
+      { name: 'snow',   rgb: [191, 191, 191], walkable: true, speed: 1.05, accel: 0.35, friction: 0.18 },
+      { name: 'forest', rgb: [ 74, 104,  62], walkable: true, speed: 0.88, decor: { tree: 0.16, bush: 0.06 } },
+      { name: 'dirt',   rgb: [134,  92,  58], walkable: true },
+    ],
+  },
+  {
+    name: 'Cave',
+    background: '#070912',
+    mapColor: '#60a5fa',
+    ambient: 0.3,
+    palette: [
+      { name: 'dirt',       rgb: [110,  84,  45], walkable: true, decor: { stalagmite: 0.05 } },
+      { name: 'rock',       rgb: [120, 120, 120], walkable: false },
+      { name: 'moss',       rgb: [ 70, 110,  70], walkable: true, speed: 0.9, decor: { stalagmite: 0.03 } },
+      { name: 'slate',      rgb: [ 86,  86,  96], walkable: false },
+      { name: 'damp stone', rgb: [ 58,  72,  82], walkable: true, accel: 0.6, friction: 0.45, decor: { stalagmite: 0.06 } },
+    ],
+  },
+  {
+    name: 'Deep',
+    background: '#0b0509',
+    mapColor: '#e879f9',
+    ambient: 0.12,
+    palette: [
+      { name: 'basalt',     rgb: [ 70,  70,  75], walkable: false },
+      { name: 'deep dirt',  rgb: [ 95,  80,  55], walkable: true, speed: 0.9, decor: { crystal: 0.02 } },
+      { name: 'crystal',    rgb: [120,  70, 140], walkable: true, speed: 1.1, friction: 0.6, glow: 0.6, decor: { crystal: 0.1 } },
+      { name: 'dark shale', rgb: [ 52,  48,  58], walkable: false },
+      { name: 'iron clay',  rgb: [ 84,  52,  62], walkable: true, speed: 0.8, decor: { crystal: 0.015 } },
+    ],
+  },
+];
+
+export const LAYER_COUNT = LAYERS.length;
+export const LAYER_NAMES = LAYERS.map((l) => l.name);
+export const LAYER0 = 0; // Surface, where the player starts
+
+// Portal-linked layer pairs [upper, lower], derived from the table.
+export const LAYER_LINKS = LAYERS.slice(1).map((_, i) => [i, i + 1]);
+// Pairs that skip at least one layer (Surface <-> Deep with three layers).
+export const SKIP_LINKS = LAYERS.flatMap((_, a) => LAYERS.slice(a + 2).map((_, i) => [a, a + 2 + i]));
+// Every pair a portal can link; a site's group indexes this (neighbours first).
+export const PORTAL_LINKS = [...LAYER_LINKS, ...SKIP_LINKS];
 
 // local +Y is "into entrance"
 export const DIRS = [
@@ -24,7 +83,72 @@ export const DIRS = [
   { name: 'Left',  dx: -1, dy:  0, ang: Math.PI / 2 },
 ];
 
+// World seed used when none is given (?seed= or createWorld options).
+// 0 reproduces the original hand-tuned layout.
+export const DEFAULT_SEED = 0;
+
+// Fixed simulation timestep; rendering interpolates between steps.
+export const SIM_DT = 1 / 60;
+export const MAX_STEPS_PER_FRAME = 8; // avoid a spiral of death after a long stall
+
 export const CHUNK_CACHE_MAX = 520; // more chunks since they're smaller now
+export const CHUNK_CACHE_BUDGET_MB = 96; // decoded RGBA bytes across cached chunks
+export const CHUNK_WORKERS_MAX = 4;
+
+// Pixel-perfect mode (?pixel=1, or ?pixel=WxH for another size): the world
+// is drawn into a fixed low-res target and integer-upscaled (see canvas.js).
+export const RENDER = {
+  virtualW: 480,
+  virtualH: 270,
+};
+
+// Camera (see camera.js). Smoothing factors are per 1/60 s.
+export const CAMERA = {
+  smooth: 0.12,           // follow
+  lookAhead: 0.35,        // seconds of travel to lead the view by
+  maxLookAhead: TILE * 5,
+  lookSmooth: 0.05,
+  minZoom: 0.5,
+  maxZoom: 3,
+  zoomStep: 1.25,         // per key press
+  wheelZoom: 0.0015,      // per wheel deltaY unit (exponential)
+  zoomSmooth: 0.2,
+  shakeDuration: 0.25,    // seconds
+  portalShake: 3,         // screen px when a trip through a portal commits
+};
+
+// Chunk prefetching (warms the cache ahead of the player)
+export const PREFETCH = {
+  lookAhead: 0.9,        // seconds of travel to predict along the velocity
+  minSpeed: 40,          // px/s below which we don't bother predicting
+  portalRange: TILE * 8, // warm the far side of portals this close
+  perFrameSync: 1,       // chunks generated per frame without workers
+  perFrameAsync: 6,      // chunk requests per frame with workers
+};
+
+// World map / minimap (one map pixel per tile before scaling)
+export const MAP = {
+  revealRadius: TILE * 7, // explored around the player, per layer
+  miniSize: 168,          // corner minimap, CSS px
+  miniRange: CHUNK_PX * 3, // world px from the player to the minimap edge
+  fullPadding: 48,        // CSS px around the full-screen map
+  chunkCacheMax: 1024,    // painted map chunks kept (a whole bounded world fits)
+};
+
+// Lighting on dark layers (see LAYERS ambient / material glow)
+export const LIGHT = {
+  resolution: 0.25,       // light map size relative to the screen (it is blurry anyway)
+  playerRadius: TILE * 7,
+  portalRadius: TILE * 5, // spill from portals leading up
+  portalColor: [255, 236, 190],
+  flicker: 0.04,
+};
+
+// Save games (localStorage)
+export const SAVE = {
+  slots: 3,               // manual slots 1..slots, plus 'auto'
+  autosaveInterval: 15,   // seconds
+};
 
 // Portal tuning
 export const PORTAL = {
@@ -33,9 +157,11 @@ export const PORTAL = {
   depth:  TILE * 3.2,
   pad:    TILE * 1.35,
   previewAlpha: 0.78,
+  oneWayColor: '#f59e0b', // arrow and frame of one-way portals
+  approachRange: TILE * 4, // portalApproached fires inside this distance
+  corridorMax: 12,         // tiles dug from a clearing to the nearest open ground
   transition: {
-    duration: 0.28,
-    cooldown: 0.22,
+    cooldown: 0.22, // after a committed transition (aborting has none)
   },
 };
 
@@ -43,4 +169,36 @@ export const PORTAL = {
 export const PORTAL_MODE = {
   // portion of portals that become one-way
   oneWayChance: 0.45,
+  // Teleports: sites are paired inside blocks of teleportBlock² sites (a power
+  // of two per side); this portion of the pairs link to each other instead of
+  // the layer below/above.
+  teleportBlock: 4,
+  teleportChance: 0.25,
+  // A one-way site whose arrival side can't walk out to at least this many
+  // tiles is walled in; it becomes two-way so nobody gets stranded there.
+  pocketTiles: 256,
+};
+
+// Per-site variety
+export const PORTAL_VARIETY = {
+  sizeMin: 0.75,     // mouth scale (width and height) vs PORTAL.mouthW/H
+  sizeMax: 1.3,
+  depthMin: 0.8,     // depth scale vs PORTAL.depth
+  depthMax: 1.4,
+  skipChance: 0.06,  // sites that link through to a SKIP_LINKS pair
+  // Extra sites: any chunk may hold up to extraMax more, each slot filled with
+  // extraChance, placed where they don't overlap any other site.
+  extraMax: 2,
+  extraChance: 0.2,
+  extraTries: 6,
+};
+
+// Decorations (see decor.js): at most one prop per cellPx world cell,
+// jittered inside it.
+export const DECOR = {
+  cellPx: TILE,
+  jitter: 0.7,       // fraction of the cell the foot point may move within
+  sizeMin: 0.8,
+  sizeMax: 1.25,
+  shadow: 0.72,      // ground colour multiplier under a prop
 };
@@ -0,0 +1,78 @@
+/**
+ * Controls panel (K)
+ * - Lists every action with its keys and gamepad buttons
+ * - Click an action, then press the key to use for it (Escape cancels);
+ *   "Reset" restores the defaults. input.js saves the bindings.
+ */
+
+// 'toggleDebug' -> 'toggle debug', ' ' -> 'space'
+const actionLabel = (action) => action.replace(/[A-Z]/g, (c) => ` ${c.toLowerCase()}`);
+const keyLabel = (k) => (k === ' ' ? 'space' : k);
+
+export function createControlsPanel(input) {
+  const panel = document.createElement('div');
+  panel.id = 'controls';
+  panel.hidden = true;
+  document.body.appendChild(panel);
+
+  let waiting = null; // action whose new key is being captured
+
+  function render() {
+    const { keys, pad } = input.bindings;
+    panel.replaceChildren();
+
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = waiting ? `Press a key for "${actionLabel(waiting)}" (Esc cancels)` : 'Controls: click an action to rebind it';
+    panel.appendChild(title);
+
+    for (const action of Object.keys(keys)) {
+      const row = document.createElement('button');
+      row.className = action === waiting ? 'row waiting' : 'row';
+      const name = document.createElement('span');
+      name.textContent = actionLabel(action);
+      const bound = document.createElement('span');
+      bound.textContent = [
+        keys[action].map(keyLabel).join(' / ') || '-',
+        ...(pad[action].length ? [`pad ${pad[action].join(' ')}`] : []),
+      ].join('  ');
+      row.append(name, bound);
+      row.addEventListener('click', () => listen(action));
+      panel.appendChild(row);
+    }
+
+    const reset = document.createElement('button');
+    reset.className = 'reset';
+    reset.textContent = 'Reset to defaults';
+    reset.addEventListener('click', () => {
+      input.resetBindings();
+      render();
+    });
+    panel.appendChild(reset);
+  }
+
+  function listen(action) {
+    waiting = action;
+    render();
+    input.captureKey((k) => {
+      waiting = null;
+      if (k !== 'escape') input.bind(action, [k]);
+      render();
+    });
+  }
+
+  function toggle() {
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) {
+      render();
+    } else if (waiting) {
+      waiting = null;
+      input.captureKey(null);
+    }
+  }
+
+  return {
+    toggle,
+    get open() { return !panel.hidden; },
+  };
+}
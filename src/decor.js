@@ -0,0 +1,203 @@
+import { CHUNK_PX, WORLD_W, WORLD_H, TILE, DECOR } from './config.js';
+import { hash32, rand01, mixSeed } from './rng.js';
+
+/**
+ * Decorations (props) per biome.
+ * - One candidate per DECOR.cellPx world cell, jittered inside it; the
+ *   material under its foot point picks the kind (palette `decor` chances)
+ * - Everything comes from (seed, layer, cell), so neighbouring chunks agree
+ *   on props that straddle their border and evicted chunks come back the same
+ * - Never on solid tiles or inside portal clearings (mouths stay readable)
+ * - paintChunk() draws props into chunk RGBA pixels, back to front by foot y;
+ *   propsInRect() lists them as sortable sprites ({ kind, x, y, size, variant })
+ * - Pure data (no DOM), like chunkgen.js
+ */
+
+const C_OUTLINE = [40, 36, 32];
+
+// Tallest prop above its foot point, widest half-width and deepest shadow
+// below it, in world px at size 1 (bounds the neighbourhood a chunk has to
+// look at).
+const REACH_UP = 26;
+const REACH_SIDE = 9;
+const REACH_DOWN = 2;
+
+// Shapes in local px relative to the foot point (up is -y); each returns the
+// fill colour at (lx, ly) or null outside. s = size, v = variant bits.
+const LEAF = [[52, 110, 40], [66, 124, 46]];
+const CRYSTAL = [[196, 124, 240], [112, 214, 228]];
+// Crystal shards as [offset x, height, half-width]; the middle one first.
+const SHARDS = [[0, 13, 2.4], [-4, 8, 1.8], [4, 9, 1.8]];
+
+function shadeLR(rgb, lx, width) {
+  const k = lx < -width * 0.3 ? 1.18 : lx > width * 0.35 ? 0.8 : 1;
+  return [rgb[0] * k, rgb[1] * k, rgb[2] * k];
+}
+
+const SHAPES = {
+  tree(lx, ly, s, v) {
+    const r = 7 * s;
+    const dx = lx, dy = ly - (-7 * s - r * 0.7);
+    if (dx * dx + dy * dy <= r * r) {
+      const leaf = LEAF[v & 1];
+      const k = dx + dy < -r * 0.6 ? 1.2 : dx + dy > r * 0.55 ? 0.78 : 1;
+      return [leaf[0] * k, leaf[1] * k, leaf[2] * k];
+    }
+    if (Math.abs(lx) <= 1.5 && ly <= 0 && ly >= -8 * s) return [92, 64, 40];
+    return null;
+  },
+  bush(lx, ly, s, v) {
+    const rx = 6 * s, ry = 4 * s;
+    const dx = lx / rx, dy = (ly + ry) / ry;
+    if (dx * dx + dy * dy > 1) return null;
+    // Some bushes carry berries.
+    if ((v & 2) && ((Math.floor(lx) * 7 + Math.floor(ly) * 13) & 15) === 0) return [190, 48, 60];
+    const leaf = LEAF[(v + 1) & 1];
+    const k = dx + dy < -0.6 ? 1.2 : dx + dy > 0.6 ? 0.8 : 1;
+    return [leaf[0] * k, leaf[1] * k, leaf[2] * k];
+  },
+  cactus(lx, ly, s, v) {
+    const green = [72, 130, 62];
+    const trunk = Math.abs(lx) <= 2 * s && ly <= 0 && ly >= -14 * s;
+    const leftArm = (v & 1) && (
+      (Math.abs(lx + 4.5 * s) <= 1.3 * s && ly <= -6 * s && ly >= -11 * s) ||
+      (lx >= -4.5 * s && lx <= 0 && ly <= -6 * s && ly >= -7.6 * s));
+    const rightArm = (v & 2) && (
+      (Math.abs(lx - 4.5 * s) <= 1.3 * s && ly <= -8 * s && ly >= -12 * s) ||
+      (lx <= 4.5 * s && lx >= 0 && ly <= -8 * s && ly >= -9.6 * s));
+    if (!trunk && !leftArm && !rightArm) return null;
+    return shadeLR(green, trunk ? lx : 0, 4 * s);
+  },
+  stalagmite(lx, ly, s, v) {
+    const h = (12 + (v & 3)) * s, half = 5 * s;
+    if (ly > 0 || ly < -h || Math.abs(lx) > half * (1 + ly / h)) return null;
+    return shadeLR(v & 4 ? [132, 118, 100] : [116, 116, 124], lx, half * (1 + ly / h) * 2);
+  },
+  crystal(lx, ly, s, v) {
+    // Up to three shards: pointed columns leaning out from the middle one.
+    const count = 1 + (v & 1) + ((v >> 1) & 1);
+    for (let i = 0; i < count; i++) {
+      const [ox, hh, ww] = SHARDS[i];
+      const dx = lx - ox * s;
+      if (ly <= 0 && Math.abs(dx) <= ww * s && ly >= -hh * s + Math.abs(dx) * 1.6) {
+        return shadeLR(CRYSTAL[(v >> 2) & 1], dx, ww * s * 2);
+      }
+    }
+    return null;
+  },
+};
+
+// Shadow ellipse half-widths at size 1.
+const SHADOW_RX = { tree: 7, bush: 6, cactus: 4, stalagmite: 6, crystal: 6 };
+
+/**
+ * ctx: { infinite, biomeAt(layer, wx, wy), isSolidTile(layer, tx, ty) } from
+ * the chunk generator.
+ */
+export function createDecor(portalSystem, seed, ctx) {
+  const { infinite, biomeAt, isSolidTile } = ctx;
+  const cell = DECOR.cellPx;
+  const reachUp = Math.ceil(REACH_UP * DECOR.sizeMax) + 2;
+  const reachSide = Math.ceil(REACH_SIDE * DECOR.sizeMax) + 2;
+  const reachDown = Math.ceil(REACH_DOWN * DECOR.sizeMax) + 2;
+
+  // Clearings of every chunk whose clearing can reach the rect.
+  function clearingsNear(layer, x0, y0, x1, y1) {
+    const out = [];
+    for (let cy = Math.floor(y0 / CHUNK_PX) - 1; cy <= Math.floor(y1 / CHUNK_PX) + 1; cy++) {
+      for (let cx = Math.floor(x0 / CHUNK_PX) - 1; cx <= Math.floor(x1 / CHUNK_PX) + 1; cx++) {
+        out.push(...portalSystem.clearingsForChunk(layer, cx, cy));
+      }
+    }
+    return out;
+  }
+
+  function propForCell(layer, gx, gy, salt, clearings) {
+    const j = DECOR.jitter;
+    const x = (gx + (1 - j) / 2 + rand01(hash32(gx, gy, salt)) * j) * cell;
+    const y = (gy + (1 - j) / 2 + rand01(hash32(gx, gy, salt + 1)) * j) * cell;
+    if (!infinite && (x < 0 || y < 0 || x >= WORLD_W || y >= WORLD_H)) return null;
+
+    const decor = biomeAt(layer, x, y).material.decor;
+    if (!decor) return null;
+    let roll = rand01(hash32(gx, gy, salt + 2));
+    let kind = null;
+    for (const k in decor) {
+      if (roll < decor[k]) { kind = k; break; }
+      roll -= decor[k];
+    }
+    if (!kind || !SHAPES[kind]) return null;
+
+    if (isSolidTile(layer, Math.floor(x / TILE), Math.floor(y / TILE))) return null;
+    const size = DECOR.sizeMin + rand01(hash32(gx, gy, salt + 3)) * (DECOR.sizeMax - DECOR.sizeMin);
+    // The whole sprite stays clear of portal mouths, not just its foot: test
+    // the clearing against the segment from the foot to the top of the prop.
+    const top = y - REACH_UP * size;
+    for (const c of clearings) {
+      const ny = Math.max(top, Math.min(y, c.y));
+      if (Math.hypot(x - c.x, ny - c.y) <= c.r + REACH_SIDE * size) return null;
+    }
+    return { kind, x, y, size, variant: hash32(gx, gy, salt + 4) & 255 };
+  }
+
+  // Props whose foot point lies in [x0, x1) x [y0, y1), back to front.
+  function propsInRect(layer, x0, y0, x1, y1) {
+    const salt = mixSeed(6673 + layer * 173, seed);
+    const clearings = clearingsNear(layer, x0, y0, x1, y1);
+    const out = [];
+    for (let gy = Math.floor(y0 / cell); gy <= Math.floor((y1 - 1) / cell); gy++) {
+      for (let gx = Math.floor(x0 / cell); gx <= Math.floor((x1 - 1) / cell); gx++) {
+        const p = propForCell(layer, gx, gy, salt, clearings);
+        if (p && p.x >= x0 && p.x < x1 && p.y >= y0 && p.y < y1) out.push(p);
+      }
+    }
+    return out.sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+
+  function propsForChunk(layer, cx, cy) {
+    return propsInRect(layer, cx * CHUNK_PX, cy * CHUNK_PX, (cx + 1) * CHUNK_PX, (cy + 1) * CHUNK_PX);
+  }
+
+  function paintProp(data, p, ox, oy) {
+    const shape = SHAPES[p.kind];
+    const { size: s, variant: v } = p;
+    const srx = SHADOW_RX[p.kind] * s, sry = REACH_DOWN * s;
+    const px0 = Math.max(0, Math.floor(p.x - reachSide - ox));
+    const px1 = Math.min(CHUNK_PX - 1, Math.ceil(p.x + reachSide - ox));
+    const py0 = Math.max(0, Math.floor(p.y - reachUp - oy));
+    const py1 = Math.min(CHUNK_PX - 1, Math.ceil(p.y + reachDown - oy));
+
+    for (let py = py0; py <= py1; py++) {
+      for (let px = px0; px <= px1; px++) {
+        // Pixel centres, so the same world pixel gives the same result in
+        // every chunk that draws this prop.
+        const lx = ox + px + 0.5 - p.x, ly = oy + py + 0.5 - p.y;
+        const di = (py * CHUNK_PX + px) * 4;
+        const fill = shape(lx, ly, s, v);
+        if (fill) {
+          data[di] = fill[0];
+          data[di + 1] = fill[1];
+          data[di + 2] = fill[2];
+        } else if (shape(lx - 1, ly, s, v) || shape(lx + 1, ly, s, v) || shape(lx, ly - 1, s, v) || shape(lx, ly + 1, s, v)) {
+          data[di] = C_OUTLINE[0];
+          data[di + 1] = C_OUTLINE[1];
+          data[di + 2] = C_OUTLINE[2];
+        } else if ((lx / srx) ** 2 + (ly / sry) ** 2 <= 1) {
+          data[di] *= DECOR.shadow;
+          data[di + 1] *= DECOR.shadow;
+          data[di + 2] *= DECOR.shadow;
+        }
+      }
+    }
+  }
+
+  // Draw every prop overlapping chunk (cx, cy), including ones rooted in
+  // neighbouring chunks, into its CHUNK_PX x CHUNK_PX RGBA pixels.
+  function paintChunk(data, layer, cx, cy) {
+    const ox = cx * CHUNK_PX, oy = cy * CHUNK_PX;
+    const props = propsInRect(layer, ox - reachSide, oy - reachDown, ox + CHUNK_PX + reachSide, oy + CHUNK_PX + reachUp);
+    for (const p of props) paintProp(data, p, ox, oy);
+  }
+
+  return { propsInRect, propsForChunk, paintChunk };
+}
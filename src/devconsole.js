@@ -0,0 +1,210 @@
+/**
+ * Developer console (toggled with the backtick key by default).
+ * - Commands are registered by name: { usage, help, run(args, con), complete?(argIndex, args) }
+ *   run() may print through con.print(); a returned string is printed too,
+ *   a thrown error is printed as an error
+ * - Up/Down walk the history (kept in localStorage), Tab completes command
+ *   names and, through complete(), their arguments
+ * - Key presses typed into the console never reach the game's input
+ *   handlers (keyups do, so nothing stays held)
+ * - opts: { isToggleKey(key), onToggle(open) }; isToggleKey decides which
+ *   key closes the console again (backtick when not given)
+ */
+
+const HISTORY_KEY = 'doomzio.console.history.v1';
+const HISTORY_MAX = 50;
+const LOG_MAX = 200;
+
+function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter((l) => typeof l === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(-HISTORY_MAX)));
+  } catch {
+    // Storage unavailable: history just won't persist.
+  }
+}
+
+function commonPrefix(list) {
+  let p = list[0] ?? '';
+  for (const s of list) while (!s.startsWith(p)) p = p.slice(0, -1);
+  return p;
+}
+
+export function createDevConsole(opts = {}) {
+  const commands = new Map();
+  const history = loadHistory();
+  let historyPos = history.length;
+  let draft = '';
+  let open = false;
+  const isToggleKey = opts.isToggleKey ?? ((key) => key === '`');
+
+  const root = document.createElement('div');
+  root.id = 'devConsole';
+  root.hidden = true;
+  const log = document.createElement('div');
+  log.className = 'log';
+  const field = document.createElement('input');
+  field.type = 'text';
+  field.spellcheck = false;
+  field.autocomplete = 'off';
+  field.placeholder = 'help';
+  root.append(log, field);
+  document.body.appendChild(root);
+
+  function print(text, cls = '') {
+    for (const line of String(text).split('\n')) {
+      const el = document.createElement('div');
+      if (cls) el.className = cls;
+      el.textContent = line;
+      log.appendChild(el);
+    }
+    while (log.childElementCount > LOG_MAX) log.firstElementChild.remove();
+    log.scrollTop = log.scrollHeight;
+  }
+
+  function clear() {
+    log.replaceChildren();
+  }
+
+  function register(name, cmd) {
+    if (commands.has(name)) throw new Error(`Command already registered: ${name}`);
+    commands.set(name, cmd);
+    return () => commands.delete(name);
+  }
+
+  function exec(line) {
+    const args = line.trim().split(/\s+/).filter(Boolean);
+    if (!args.length) return;
+    print(`> ${line.trim()}`, 'echo');
+    const cmd = commands.get(args[0].toLowerCase());
+    if (!cmd) {
+      print(`Unknown command: ${args[0]} (try help)`, 'error');
+      return;
+    }
+    try {
+      const out = cmd.run(args.slice(1), api);
+      if (out != null) print(out);
+    } catch (err) {
+      print(err.message, 'error');
+    }
+  }
+
+  function submit() {
+    const line = field.value;
+    field.value = '';
+    draft = '';
+    if (line.trim() && history[history.length - 1] !== line) {
+      history.push(line);
+      if (history.length > HISTORY_MAX) history.shift();
+      saveHistory(history);
+    }
+    historyPos = history.length;
+    exec(line);
+  }
+
+  function browseHistory(step) {
+    if (!history.length) return;
+    if (historyPos === history.length) draft = field.value;
+    historyPos = Math.max(0, Math.min(history.length, historyPos + step));
+    field.value = historyPos === history.length ? draft : history[historyPos];
+    field.setSelectionRange(field.value.length, field.value.length);
+  }
+
+  function candidatesFor(args) {
+    if (args.length <= 1) return [...commands.keys()].sort();
+    const cmd = commands.get(args[0].toLowerCase());
+    return cmd?.complete ? cmd.complete(args.length - 2, args.slice(1)) || [] : [];
+  }
+
+  function complete() {
+    // Complete the word under the end of the line.
+    const text = field.value;
+    const args = text.split(/\s+/);
+    if (args[0] === '') args.shift();
+    if (!args.length) args.push('');
+    const word = args[args.length - 1];
+    const matches = candidatesFor(args).map(String).filter((c) => c.startsWith(word));
+    if (!matches.length) return;
+
+    const head = text.slice(0, text.length - word.length);
+    if (matches.length === 1) {
+      field.value = `${head}${matches[0]} `;
+    } else {
+      field.value = head + commonPrefix(matches);
+      print(matches.join('  '), 'hint');
+    }
+  }
+
+  field.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (isToggleKey(e.key) || e.key === 'Escape') {
+      e.preventDefault();
+      setOpen(false);
+    } else if (e.key === 'Enter') {
+      submit();
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      browseHistory(-1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      browseHistory(1);
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      complete();
+    }
+  });
+
+  function setOpen(v) {
+    if (open === v) return;
+    open = v;
+    root.hidden = !v;
+    if (v) field.focus();
+    else field.blur();
+    opts.onToggle?.(v);
+  }
+
+  const api = {
+    register,
+    exec,
+    print,
+    clear,
+    open: () => setOpen(true),
+    close: () => setOpen(false),
+    toggle: () => setOpen(!open),
+    get isOpen() { return open; },
+    get commands() { return new Map(commands); },
+  };
+
+  register('help', {
+    usage: 'help [command]',
+    help: 'List commands, or show how to use one',
+    run([name]) {
+      if (name) {
+        const cmd = commands.get(name.toLowerCase());
+        if (!cmd) throw new Error(`Unknown command: ${name}`);
+        return `${cmd.usage ?? name} - ${cmd.help ?? ''}`;
+      }
+      return [...commands.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([n, cmd]) => `${(cmd.usage ?? n).padEnd(24)} ${cmd.help ?? ''}`)
+        .join('\n');
+    },
+    complete: (i) => (i === 0 ? [...commands.keys()] : []),
+  });
+
+  register('clear', {
+    usage: 'clear',
+    help: 'Clear the console',
+    run() { clear(); },
+  });
+
+  return api;
+}
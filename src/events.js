@@ -0,0 +1,79 @@
+/**
+ * Typed event emitter.
+ * - The set of event types is fixed up front; subscribing to or emitting an
+ *   unknown type throws, so typos fail loudly instead of never firing
+ * - A throwing listener is skipped and the others still run; its error is
+ *   emitted as an 'error' event when the emitter has that type (an error
+ *   listener that throws itself is dropped)
+ */
+
+/**
+ * Events the game emits (payloads):
+ * - worldLoaded         { seed, infinite }
+ * - layerChanged        { from, to, entrance }
+ * - transitionStarted   { entrance }
+ * - transitionCompleted { entrance, outcome: 'committed' | 'aborted' }
+ * - teleported          { entrance, from: { x, y }, to: { x, y } }
+ * - portalApproached    { entrance, distance }
+ * - chunkGenerated      { layer, cx, cy, ms }
+ * - chunkEvicted        { layer, cx, cy }
+ * - error               { source, error } (a failing listener, plugin or
+ *                       chunk worker; the game shows it in the status line)
+ */
+export const GAME_EVENTS = [
+  'worldLoaded',
+  'layerChanged',
+  'transitionStarted',
+  'transitionCompleted',
+  'teleported',
+  'portalApproached',
+  'chunkGenerated',
+  'chunkEvicted',
+  'error',
+];
+
+export function createEmitter(types) {
+  const listeners = new Map(types.map((t) => [t, new Set()]));
+
+  function setFor(type) {
+    const set = listeners.get(type);
+    if (!set) throw new Error(`Unknown event type: ${type}`);
+    return set;
+  }
+
+  // Returns an unsubscribe function.
+  function on(type, cb) {
+    setFor(type).add(cb);
+    return () => off(type, cb);
+  }
+
+  function off(type, cb) {
+    setFor(type).delete(cb);
+  }
+
+  function once(type, cb) {
+    const unsubscribe = on(type, (payload) => {
+      unsubscribe();
+      cb(payload);
+    });
+    return unsubscribe;
+  }
+
+  function emit(type, payload) {
+    for (const cb of [...setFor(type)]) {
+      try {
+        cb(payload);
+      } catch (err) {
+        if (type !== 'error' && listeners.has('error')) emit('error', { source: `${type} listener`, error: err });
+      }
+    }
+  }
+
+  return {
+    on,
+    off,
+    once,
+    emit,
+    get types() { return [...listeners.keys()]; },
+  };
+}
@@ -0,0 +1,96 @@
+import { TILE, CHUNK_TILES, LAYER_COUNT } from './config.js';
+
+/**
+ * Fog of war: which tiles the player has seen, kept separately per layer.
+ * - Stored per chunk (CHUNK_TILES² flags), so it works for bounded and
+ *   infinite worlds alike
+ * - Each chunk carries a version (from one counter, so it never repeats even
+ *   after a load) that changes on every reveal; the map repaints only what
+ *   changed
+ * - getState()/setState() for save games: per layer [[cx, cy, hex]], one
+ *   bit per tile
+ * No DOM.
+ */
+export function createExploration() {
+  const layers = Array.from({ length: LAYER_COUNT }, () => new Map()); // key -> { cx, cy, cells, version }
+  const chunkKey = (cx, cy) => `${cx}:${cy}`;
+  let revision = 0;
+
+  function chunkFor(layer, cx, cy, create) {
+    const key = chunkKey(cx, cy);
+    let ch = layers[layer].get(key);
+    if (!ch && create) {
+      ch = { cx, cy, cells: new Uint8Array(CHUNK_TILES * CHUNK_TILES), version: 0 };
+      layers[layer].set(key, ch);
+    }
+    return ch;
+  }
+
+  function isExplored(layer, tx, ty) {
+    const cx = Math.floor(tx / CHUNK_TILES), cy = Math.floor(ty / CHUNK_TILES);
+    const ch = chunkFor(layer, cx, cy, false);
+    if (!ch) return false;
+    return ch.cells[(ty - cy * CHUNK_TILES) * CHUNK_TILES + (tx - cx * CHUNK_TILES)] === 1;
+  }
+
+  // Mark every tile whose centre is within r of (x, y). Returns how many
+  // tiles were newly revealed.
+  function reveal(layer, x, y, r) {
+    const tx0 = Math.floor((x - r) / TILE), tx1 = Math.floor((x + r) / TILE);
+    const ty0 = Math.floor((y - r) / TILE), ty1 = Math.floor((y + r) / TILE);
+    let count = 0;
+    for (let ty = ty0; ty <= ty1; ty++) {
+      for (let tx = tx0; tx <= tx1; tx++) {
+        const dx = (tx + 0.5) * TILE - x, dy = (ty + 0.5) * TILE - y;
+        if (dx * dx + dy * dy > r * r) continue;
+        const cx = Math.floor(tx / CHUNK_TILES), cy = Math.floor(ty / CHUNK_TILES);
+        const ch = chunkFor(layer, cx, cy, true);
+        const i = (ty - cy * CHUNK_TILES) * CHUNK_TILES + (tx - cx * CHUNK_TILES);
+        if (ch.cells[i]) continue;
+        ch.cells[i] = 1;
+        ch.version = ++revision;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  // Explored chunks of a layer: [{ cx, cy, cells, version }]
+  function chunks(layer) {
+    return layers[layer].values();
+  }
+
+  function getChunk(layer, cx, cy) {
+    return chunkFor(layer, cx, cy, false) || null;
+  }
+
+  function clear() {
+    for (const m of layers) m.clear();
+  }
+
+  function getState() {
+    return layers.map((m) => [...m.values()].map((ch) => {
+      let hex = '';
+      for (let i = 0; i < ch.cells.length; i += 4) {
+        hex += (ch.cells[i] | ch.cells[i + 1] << 1 | ch.cells[i + 2] << 2 | ch.cells[i + 3] << 3).toString(16);
+      }
+      return [ch.cx, ch.cy, hex];
+    }));
+  }
+
+  function setState(s) {
+    clear();
+    (s || []).forEach((list, layer) => {
+      if (layer >= LAYER_COUNT) return;
+      for (const [cx, cy, hex] of list) {
+        const ch = chunkFor(layer, cx, cy, true);
+        for (let i = 0; i < ch.cells.length; i++) {
+          ch.cells[i] = (parseInt(hex[i >> 2], 16) >> (i & 3)) & 1;
+        }
+        ch.version = ++revision;
+      }
+    });
+  }
+
+  return { reveal, isExplored, chunks, getChunk, clear, getState, setState };
+}
@@ -0,0 +1,26 @@
+// Browser file helpers: JSON download and reading a dropped/picked file.
+
+export function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export async function readJSONFile(file) {
+  return JSON.parse(await file.text());
+}
+
+// Calls cb(file) for every file dropped onto the page.
+export function onFileDrop(cb) {
+  addEventListener('dragover', (e) => { e.preventDefault(); });
+  addEventListener('drop', (e) => {
+    e.preventDefault();
+    for (const file of e.dataTransfer?.files || []) cb(file);
+  });
+}
@@ -1,184 +1,696 @@
 import {
-  WORLD_W, WORLD_H,
-  LAYER0,
-  PORTAL,
+  DEFAULT_SEED,
+  TILE, CHUNK_PX,
+  CAMERA,
+  SIM_DT, MAX_STEPS_PER_FRAME,
+  MAP,
+  SAVE,
+  LAYER_COUNT, LAYER_NAMES,
 } from './config.js';
-import { clamp, easeInOut } from './math.js';
-import { createCanvasSystem } from './canvas.js';
+import { easeInOut, lerp, clamp } from './math.js';
+import { parseSeed } from './rng.js';
+import { createCanvasSystem, parsePixelParam } from './canvas.js';
 import { createInput } from './input.js';
+import { createControlsPanel } from './controls.js';
 import { createUI } from './ui.js';
-import { createPortalSystem, pointInOrientedMouth, movingInto } from './portals.js';
+import { createPortalSystem, portalCamera, portalStartRectScreen, teleportBody } from './portals.js';
 import { createWorld } from './world.js';
+import { createChunkWorkerPool } from './chunkpool.js';
+import { createPrefetcher } from './prefetch.js';
+import { createSimulation } from './simulation.js';
 import { createRenderer } from './renderer.js';
-
-const canvasSystem = createCanvasSystem('game');
+import { createCamera } from './camera.js';
+import { createExploration } from './explore.js';
+import { createMapRenderer } from './minimap.js';
+import { createLighting } from './lighting.js';
+import { createRecorder, createReplayer, validateReplay } from './replay.js';
+import { GAME_EVENTS, createEmitter } from './events.js';
+import { createPluginHost } from './plugins.js';
+import { createDevConsole } from './devconsole.js';
+import { downloadJSON, readJSONFile, onFileDrop } from './files.js';
+import {
+  SAVE_SLOTS, makeSave, isSave, validateSave, writeSlot, readSlot,
+  parseLocationHash, locationHash,
+} from './save.js';
+
+// ?seed=1234 (or any text) reproduces a specific world; ?infinite=1 removes
+// the world edges; ?pixel=1 (or ?pixel=320x180) renders pixel-perfect at a
+// fixed low resolution.
+const params = new URLSearchParams(location.search);
+const seed = parseSeed(params.get('seed') ?? DEFAULT_SEED);
+const infinite = params.get('infinite') === '1';
+const pixelSize = parsePixelParam(params.get('pixel'));
+
+const canvasSystem = createCanvasSystem('game', { virtual: pixelSize });
 const ctx = canvasSystem.ctx;
+const screenCtx = canvasSystem.screenCtx;
 
 const input = createInput();
 const ui = createUI();
 
 let debug = false;
-input.onKey('f', () => { debug = !debug; });
-
-const portals = createPortalSystem();
-const world = createWorld(portals);
-const renderer = createRenderer(ctx, world);
-
-// ===== Player & camera =====
-const player = { x: WORLD_W / 2, y: WORLD_H / 2, vx: 0, vy: 0, r: 10,
-  maxSpeed: 220, sprintMul: 1.45, accel: 1400, friction: 10.5 };
-let currentLayer = LAYER0;
-ui.setLayerUI(currentLayer);
-
-const cam = { x: player.x, y: player.y, smooth: 0.12 };
-function worldClamp() {
-  // Prevent chunk index overflow by never allowing x==WORLD_W etc.
-  const eps = 0.0001;
-  player.x = clamp(player.x, 0, WORLD_W - eps);
-  player.y = clamp(player.y, 0, WORLD_H - eps);
-}
-
-// ===== Transition =====
-let transitioning = false;
-const trans = {
-  entrance: null,
-  srcLayer: null,
-  progress: 0,
-  duration: PORTAL.transition.duration,
-  startX: 0,
-  startY: 0,
-  cooldown: 0,
+input.onAction('toggleDebug', () => { debug = !debug; });
+
+const controls = createControlsPanel(input);
+input.onAction('toggleControls', () => controls.toggle());
+
+let showMap = false;
+input.onAction('toggleMap', () => { showMap = !showMap; });
+
+let world, sim, player, trans, renderer, recorder, prefetcher, exploration, mapRenderer, lighting;
+let workers = null; // chunk worker pool of the current world
+
+// ===== Events & plugins =====
+// window.doomzio is the public handle: game.events.on('layerChanged', cb),
+// game.plugins.register({ name, update, render }). ?plugin=./my-plugin.js
+// (same origin, repeatable) loads plugin modules at startup.
+const events = createEmitter(GAME_EVENTS);
+const game = {
+  events,
+  plugins: null,
+  get sim() { return sim; },
+  get world() { return world; },
+  get player() { return player; },
+  get layer() { return sim.layer; },
+  get input() { return input; },
+  get ui() { return ui; },
+  get camera() { return camera; },
+  get devConsole() { return devConsole; },
+  loadWorld: (worldSeed, worldInfinite) => loadWorld(worldSeed, worldInfinite),
 };
+game.plugins = createPluginHost(game);
+globalThis.doomzio = game;
 
-function tryStartTransition(entrances, mvx, mvy) {
-  if (transitioning || trans.cooldown > 0) return;
-  for (const e of entrances) {
-    if (pointInOrientedMouth(player.x, player.y, e) && movingInto(e, mvx, mvy)) {
-      transitioning = true;
-      trans.entrance = e;
-      trans.srcLayer = currentLayer;
-      trans.progress = 0;
-      trans.startX = player.x;
-      trans.startY = player.y;
+events.on('error', ({ source, error }) => ui.setStatus(`Error in ${source}: ${error?.message ?? error}`));
+
+// Simulation events -> game events.
+function emitSimEvent(ev) {
+  switch (ev.type) {
+    case 'layerChanged':
+      events.emit('layerChanged', { from: ev.from, to: ev.to, entrance: ev.entrance });
+      break;
+    case 'transitionStarted':
+      events.emit('transitionStarted', { entrance: ev.entrance });
+      break;
+    case 'transitionCommitted':
+      events.emit('transitionCompleted', { entrance: ev.entrance, outcome: 'committed' });
+      break;
+    case 'transitionAborted':
+      events.emit('transitionCompleted', { entrance: ev.entrance, outcome: 'aborted' });
+      break;
+    case 'teleported':
+      events.emit('teleported', { entrance: ev.entrance, from: ev.from, to: ev.to });
+      break;
+    case 'portalApproached':
+      events.emit('portalApproached', { entrance: ev.entrance, distance: ev.distance });
       break;
-    }
   }
 }
 
-// ===== Main loop =====
-let last = performance.now();
+// ===== Camera =====
+// Mouse wheel or +/- zoom (0 resets). Trips through portals shake the view a
+// little; plugins can call game.camera.shake() too.
+const camera = createCamera({ integerZoom: canvasSystem.virtual });
+input.onAction('zoomIn', () => camera.zoomBy(CAMERA.zoomStep));
+input.onAction('zoomOut', () => camera.zoomBy(1 / CAMERA.zoomStep));
+input.onAction('zoomReset', () => camera.setZoom(1));
+canvasSystem.canvas.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  camera.zoomBy(Math.exp(-e.deltaY * CAMERA.wheelZoom));
+}, { passive: false });
+
+// Previous simulation state, for render interpolation.
+const prev = { x: 0, y: 0, progress: 0 };
+
+// (Re)build everything that depends on the world seed.
+function loadWorld(worldSeed, worldInfinite) {
+  const portals = createPortalSystem({ seed: worldSeed, infinite: worldInfinite });
+  // The old world's workers (and their pending chunks) go with it.
+  if (workers) workers.terminate();
+  workers = createChunkWorkerPool({
+    seed: worldSeed,
+    infinite: worldInfinite,
+    onError: (error) => events.emit('error', { source: 'chunk workers', error }),
+  });
+  world = createWorld(portals, {
+    seed: worldSeed,
+    infinite: worldInfinite,
+    workers,
+    onChunkGenerated: (info) => events.emit('chunkGenerated', info),
+    onChunkEvicted: (info) => events.emit('chunkEvicted', info),
+  });
+  sim = createSimulation({ seed: worldSeed, portals, world });
+  ({ player, trans } = sim);
+  renderer = createRenderer(ctx, world);
+  camera.bounded = !worldInfinite;
+  lighting = createLighting(ctx, world);
+  prefetcher = createPrefetcher(world);
+  exploration = createExploration();
+  mapRenderer = createMapRenderer(screenCtx, world, portals, exploration);
+  recorder = createRecorder(sim);
+  syncView();
+  events.emit('worldLoaded', { seed: worldSeed, infinite: worldInfinite });
+}
 
-function tick(now) {
-  const dt = Math.min(0.05, (now - last) / 1000);
-  last = now;
+// Snap camera/interpolation to the player and refresh the HUD.
+function syncView() {
+  camera.snap(player.x, player.y);
+  prev.x = player.x;
+  prev.y = player.y;
+  footsteps.length = 0;
+  exploration.reveal(sim.layer, player.x, player.y, MAP.revealRadius);
+  hudKey = '';
+  updateLayerHUD();
+}
 
-  // ---- Velocity-based movement ----
-  let ix = 0, iy = 0;
-  if (input.isDown('w')) iy -= 1;
-  if (input.isDown('s')) iy += 1;
-  if (input.isDown('a')) ix -= 1;
-  if (input.isDown('d')) ix += 1;
+// Layer badge shows the biome underfoot; only touch the DOM when it changes.
+let hudKey = '';
+function updateLayerHUD() {
+  const key = `${sim.layer}:${sim.material.name}`;
+  if (key === hudKey) return;
+  hudKey = key;
+  ui.setLayerUI(sim.layer, sim.material.name);
+}
 
-  const ilen = Math.hypot(ix, iy) || 1;
-  ix /= ilen; iy /= ilen;
+// ===== Portal HUD =====
+// Destination, mode and distance/direction of the nearest portal (or of the
+// one being entered).
+function updatePortalHUD(entrances, x, y) {
+  const describe = (e, extra) => ({ toLayer: e.toLayer, kind: e.kind, mode: e.mode, ...extra });
+  if (trans.active && trans.entrance) {
+    ui.setPortalInfo(describe(trans.entrance, { transitioning: true }));
+    return;
+  }
+  let best = null, bestD = Infinity;
+  for (const e of entrances) {
+    const d = Math.hypot(e.x - x, e.y - y);
+    if (d < bestD) { best = e; bestD = d; }
+  }
+  ui.setPortalInfo(best && describe(best, { distance: bestD, angle: Math.atan2(best.y - y, best.x - x) }));
+}
 
-  const sprint = input.isDown('shift');
-  const maxSpeed = player.maxSpeed * (sprint ? player.sprintMul : 1);
+// ===== Footsteps =====
+// Little puffs in the colour of the ground, dropped every STEP_PX travelled.
+const STEP_PX = 18;
+const STEP_LIFE = 0.6;
+const footsteps = [];
+let stepDist = 0;
+
+function updateFootsteps(dt, now) {
+  const speed = Math.hypot(player.vx, player.vy);
+  stepDist += speed * dt;
+  if (speed > 30 && stepDist >= STEP_PX) {
+    stepDist = 0;
+    const [r, g, b] = sim.material.rgb;
+    footsteps.push({
+      x: player.x, y: player.y + player.r * 0.6,
+      layer: sim.layer, born: now,
+      color: `rgb(${Math.round(r * 0.62)},${Math.round(g * 0.62)},${Math.round(b * 0.62)})`,
+    });
+  }
+  while (footsteps.length && now - footsteps[0].born > STEP_LIFE * 1000) footsteps.shift();
+}
 
-  // Accelerate toward desired velocity
-  const targetVx = ix * maxSpeed;
-  const targetVy = iy * maxSpeed;
+loadWorld(seed, infinite);
 
-  const accel = player.accel;
-  const dvx = targetVx - player.vx;
-  const dvy = targetVy - player.vy;
-  const dlen = Math.hypot(dvx, dvy);
+// ===== Recording & replay =====
+// F9 starts/stops recording (downloads the JSON); dropping a recording onto
+// the page replays it and checks that the final state matches.
+let replayer = null;
 
-  if (dlen > 0.0001) {
-    const step = Math.min(dlen, accel * dt);
-    player.vx += (dvx / dlen) * step;
-    player.vy += (dvy / dlen) * step;
+input.onAction('toggleRecord', () => {
+  if (replayer) return;
+  if (!recorder.recording) {
+    recorder.start();
+    return;
   }
-
-  // Friction when no input (or just damping always, cheap & stable)
-  const damp = Math.exp(-player.friction * dt);
-  if (Math.abs(ix) < 0.001 && Math.abs(iy) < 0.001) {
-    player.vx *= damp;
-    player.vy *= damp;
+  const rec = recorder.stop();
+  downloadJSON(`doomzio-replay-${rec.seed}-${Date.now()}.json`, rec);
+  ui.setStatus(`Saved replay (${rec.frames.length} frames)`);
+});
+
+onFileDrop(async (file) => {
+  let rec;
+  try {
+    rec = await readJSONFile(file);
+  } catch (err) {
+    ui.setStatus(`Could not read ${file.name}: ${err.message}`);
+    return;
+  }
+  if (isSave(rec)) { importSave(rec, file.name); return; }
+  if (!rec || !Array.isArray(rec.frames)) return; // not a replay
+  // Only a replay that can actually run may replace the current world.
+  try {
+    validateReplay(rec);
+  } catch (err) {
+    ui.setStatus(`Replay failed: ${err.message}`);
+    return;
+  }
+  stopPlayback();
+  if (rec.seed !== sim.seed || !!rec.start.infinite !== world.infinite) loadWorld(rec.seed, !!rec.start.infinite);
+  try {
+    replayer = createReplayer(rec, sim);
+  } catch (err) {
+    ui.setStatus(`Replay failed: ${err.message}`);
+    return;
+  }
+  syncView();
+  acc = 0;
+});
+
+function finishReplay() {
+  const { ok, mismatches } = replayer.result();
+  replayer = null;
+  if (ok) {
+    ui.setStatus('Replay matched ✔');
   } else {
-    // light damping even while moving to keep things stable
-    const moveDamp = Math.exp(-player.friction * 0.25 * dt);
-    player.vx *= moveDamp;
-    player.vy *= moveDamp;
+    ui.setStatus(`Replay diverged ✘ (${mismatches.map((m) => m.field).join(', ')})`);
   }
+}
+
+// ===== Save & load =====
+// F5 saves to the active slot, F8 loads it, F7 switches slots, F6 exports the
+// save as a file (drop it on the page to import). L puts the current location
+// in the URL fragment and copies the link. The 'auto' slot is written every
+// SAVE.autosaveInterval seconds and when the page is hidden.
+const manualSlots = SAVE_SLOTS.filter((s) => s !== 'auto');
+let activeSlot = manualSlots[0];
+let lastAutosave = performance.now();
+
+// A load or jump ends a replay, and would break a recording.
+function stopPlayback() {
+  replayer = null;
+  if (recorder.recording) recorder.stop();
+}
 
-  // Clamp max speed
-  const v = Math.hypot(player.vx, player.vy);
-  if (v > maxSpeed) {
-    player.vx = (player.vx / v) * maxSpeed;
-    player.vy = (player.vy / v) * maxSpeed;
+function applySave(data) {
+  const s = data.state;
+  stopPlayback();
+  if (s.seed !== sim.seed || !!s.infinite !== world.infinite) loadWorld(s.seed, !!s.infinite);
+  sim.setState(s);
+  if (data.explored) exploration.setState(data.explored);
+  syncView();
+  acc = 0;
+}
+
+function jumpTo({ layer, x, y }) {
+  stopPlayback();
+  const spot = world.isSolidAt(layer, x, y) ? world.findWalkable(layer, x, y) : null;
+  sim.setState({ ...sim.getState(), layer, x: spot?.x ?? x, y: spot?.y ?? y, vx: 0, vy: 0, cooldown: 0, transition: null });
+  syncView();
+  acc = 0;
+}
+
+function jumpToHash() {
+  const loc = parseLocationHash(location.hash);
+  if (!loc) return false;
+  jumpTo(loc);
+  // Drop the fragment so a reload carries on from the autosave instead.
+  history.replaceState(null, '', location.pathname + location.search);
+  return true;
+}
+
+function slotLabel(slot) {
+  const data = readSlot(slot);
+  if (!data) return `Slot ${slot}: empty`;
+  return `Slot ${slot}: ${LAYER_NAMES[data.state.layer]} · ${new Date(data.savedAt).toLocaleTimeString()}`;
+}
+
+function importSave(data, name) {
+  try {
+    applySave(validateSave(data));
+  } catch (err) {
+    ui.setStatus(`Could not load ${name}: ${err.message}`);
+    return;
   }
+  ui.setStatus(`Loaded ${name}`);
+}
 
-  const mvx = player.vx;
-  const mvy = player.vy;
+function autosave(now, force = false) {
+  if (replayer || (!force && now - lastAutosave < SAVE.autosaveInterval * 1000)) return;
+  lastAutosave = now;
+  writeSlot('auto', makeSave(sim, exploration));
+}
+
+input.onAction('saveGame', (e) => {
+  e?.preventDefault(); // F5 would reload the page
+  if (replayer) return;
+  const ok = writeSlot(activeSlot, makeSave(sim, exploration));
+  ui.setStatus(ok ? `Saved to slot ${activeSlot}` : 'Save failed (storage unavailable)');
+});
+
+input.onAction('loadGame', (e) => {
+  e?.preventDefault();
+  const data = readSlot(activeSlot);
+  if (!data) { ui.setStatus(`Slot ${activeSlot} is empty`); return; }
+  applySave(data);
+  ui.setStatus(`Loaded slot ${activeSlot}`);
+});
+
+input.onAction('nextSlot', (e) => {
+  e?.preventDefault();
+  activeSlot = manualSlots[(manualSlots.indexOf(activeSlot) + 1) % manualSlots.length];
+  ui.setStatus(slotLabel(activeSlot));
+});
+
+input.onAction('exportSave', (e) => {
+  e?.preventDefault();
+  downloadJSON(`doomzio-save-${sim.seed}-${Date.now()}.json`, makeSave(sim, exploration));
+  ui.setStatus('Exported save');
+});
+
+input.onAction('copyLink', () => {
+  history.replaceState(null, '', locationHash({ layer: sim.layer, x: player.x, y: player.y }));
+  const url = location.href;
+  navigator.clipboard?.writeText(url).then(
+    () => ui.setStatus('Link copied'),
+    () => ui.setStatus('Link is in the address bar'),
+  ) ?? ui.setStatus('Link is in the address bar');
+});
+
+addEventListener('hashchange', jumpToHash);
+
+addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') autosave(performance.now(), true);
+});
+addEventListener('pagehide', () => autosave(performance.now(), true));
+
+// ===== Dev console =====
+// Backtick opens it; `help` lists the commands. Plugins can add their own
+// through game.devConsole.register().
+// Opening the console moves the keyboard into its text field: drop held keys
+// so movement doesn't stick, and close it on whatever key toggleConsole uses.
+const devConsole = createDevConsole({
+  isToggleKey: (key) => input.isBound('toggleConsole', key),
+  onToggle: (open) => { if (open) input.reset(); },
+});
+input.onAction('toggleConsole', (e) => {
+  e?.preventDefault(); // keep the backtick out of the input field
+  devConsole.toggle();
+});
+
+let timeScale = 1;
+let listedPortals = []; // the last `portal list`, for `portal goto <n>`
+
+function parseLayer(arg) {
+  const byName = LAYER_NAMES.findIndex((n) => n.toLowerCase() === String(arg).toLowerCase());
+  const layer = byName >= 0 ? byName : Number(arg);
+  if (!Number.isInteger(layer) || layer < 0 || layer >= LAYER_COUNT) {
+    throw new Error(`No such layer: ${arg} (0-${LAYER_COUNT - 1} or ${LAYER_NAMES.join(', ')})`);
+  }
+  return layer;
+}
+
+function parseNumber(arg, what) {
+  const n = Number(arg);
+  if (arg === undefined || !Number.isFinite(n)) throw new Error(`${what} must be a number`);
+  return n;
+}
+
+function describePortal(e) {
+  const kind = e.kind === 'teleport' ? 'teleport' : e.mode;
+  const d = Math.hypot(e.x - player.x, e.y - player.y);
+  return `${e.id}  ${kind} to ${LAYER_NAMES[e.toLayer]}  ${Math.round(d)}px`;
+}
 
-  if (trans.cooldown > 0) trans.cooldown = Math.max(0, trans.cooldown - dt);
+// Ids start with the site: g<group>:<cx>:<cy>:...
+function findPortal(id) {
+  const m = /^g\d+:(-?\d+):(-?\d+):/.exec(id);
+  if (!m) return null;
+  for (let layer = 0; layer < LAYER_COUNT; layer++) {
+    const e = world.portals.entrancesForChunk(layer, Number(m[1]), Number(m[2])).find((p) => p.id === id);
+    if (e) return e;
+  }
+  return null;
+}
 
-  // Move every frame, even during portal transition, so the animation feels seamless.
-  player.x += mvx * dt;
-  player.y += mvy * dt;
-  worldClamp();
+devConsole.register('tp', {
+  usage: 'tp [x y [layer]]',
+  help: 'Teleport to world px (no arguments: print the position)',
+  run([x, y, layer]) {
+    if (x === undefined) return `${LAYER_NAMES[sim.layer]} (${sim.layer}) x=${player.x.toFixed(1)} y=${player.y.toFixed(1)}`;
+    jumpTo({
+      layer: layer === undefined ? sim.layer : parseLayer(layer),
+      x: parseNumber(x, 'x'),
+      y: parseNumber(y, 'y'),
+    });
+    return `Now at ${player.x.toFixed(1)}, ${player.y.toFixed(1)}`;
+  },
+});
+
+devConsole.register('layer', {
+  usage: 'layer [n|name]',
+  help: 'Switch layer at the current position',
+  run([arg]) {
+    if (arg === undefined) return LAYER_NAMES.map((n, i) => `${i === sim.layer ? '*' : ' '} ${i} ${n}`).join('\n');
+    jumpTo({ layer: parseLayer(arg), x: player.x, y: player.y });
+    return `Now on ${LAYER_NAMES[sim.layer]}`;
+  },
+  complete: (i) => (i === 0 ? LAYER_NAMES.map((n) => n.toLowerCase()) : []),
+});
+
+devConsole.register('portal', {
+  usage: 'portal list|goto <id|n>',
+  help: 'List nearby portals on this layer, or stand in front of one',
+  run([sub, target]) {
+    if (sub === 'list') {
+      listedPortals = world.getNearbyEntrances(sim.layer, player.x, player.y)
+        .sort((a, b) => Math.hypot(a.x - player.x, a.y - player.y) - Math.hypot(b.x - player.x, b.y - player.y));
+      if (!listedPortals.length) return 'No portals nearby';
+      return listedPortals.map((e, i) => `${String(i).padStart(2)}  ${describePortal(e)}`).join('\n');
+    }
+    if (sub === 'goto') {
+      if (target === undefined) throw new Error('Usage: portal goto <id|n>');
+      const e = /^\d+$/.test(target) ? listedPortals[Number(target)] : findPortal(target);
+      if (!e) throw new Error(`No such portal: ${target}`);
+      // Just outside the mouth, facing in.
+      const back = e.mouthH / 2 + TILE;
+      jumpTo({ layer: e.layer, x: e.x - e.dir.dx * back, y: e.y - e.dir.dy * back });
+      return describePortal(e);
+    }
+    throw new Error('Usage: portal list|goto <id|n>');
+  },
+  complete(i, args) {
+    if (i === 0) return ['list', 'goto'];
+    if (i === 1 && args[0] === 'goto') return listedPortals.map((e) => e.id);
+    return [];
+  },
+});
+
+devConsole.register('cache', {
+  usage: 'cache [clear]',
+  help: 'Show chunk cache stats, or drop every cached chunk',
+  run([sub]) {
+    if (sub === 'clear') {
+      world.clearCache();
+      return 'Chunk cache cleared';
+    }
+    if (sub !== undefined) throw new Error('Usage: cache [clear]');
+    const st = world.stats;
+    return `${world.cacheSize} chunks, ${(world.cacheBytes / 1048576).toFixed(1)} MB, ${world.pendingCount} pending\n` +
+      `hits=${st.hits} misses=${st.misses} generated=${st.generated} evicted=${st.evicted} avg=${st.genMsAvg.toFixed(2)}ms`;
+  },
+  complete: (i) => (i === 0 ? ['clear'] : []),
+});
+
+devConsole.register('speed', {
+  usage: 'speed [x]',
+  help: 'Game speed multiplier (0.1-4; replays stay valid)',
+  run([x]) {
+    if (x !== undefined) timeScale = clamp(parseNumber(x, 'speed'), 0.1, 4);
+    return `Speed ${timeScale}x`;
+  },
+});
+
+devConsole.register('zoom', {
+  usage: 'zoom [x]',
+  help: `Camera zoom (${CAMERA.minZoom}-${CAMERA.maxZoom})`,
+  run([x]) {
+    if (x !== undefined) camera.setZoom(parseNumber(x, 'zoom'));
+    return `Zoom ${camera.targetZoom.toFixed(2)}x`;
+  },
+});
+
+// Key names as typed in the console ('space' for ' ').
+const keyName = (k) => (k === ' ' ? 'space' : k);
+const keyFromName = (name) => (name.toLowerCase() === 'space' ? ' ' : name);
+
+function describeBinding(action) {
+  const { keys, pad } = input.bindings;
+  const keyList = keys[action].map(keyName).join(' ') || '-';
+  return `${action.padEnd(14)} ${keyList}${pad[action].length ? `  (pad ${pad[action].join(' ')})` : ''}`;
+}
+
+devConsole.register('bind', {
+  usage: 'bind [action [key ...|pad button ...]] | bind reset',
+  help: 'Show or remap controls (saved); e.g. bind sprint shift q',
+  run([action, ...rest]) {
+    const actions = Object.keys(input.bindings.keys);
+    if (action === undefined) return actions.map(describeBinding).join('\n');
+    if (action === 'reset') {
+      input.resetBindings();
+      return 'Controls reset to defaults';
+    }
+    if (!actions.includes(action)) throw new Error(`No such action: ${action}`);
+    if (rest[0] === 'pad') {
+      const buttons = rest.slice(1).map((b) => parseNumber(b, 'pad button'));
+      if (!buttons.every((b) => Number.isInteger(b) && b >= 0)) throw new Error('pad buttons are indices (0, 1, ...)');
+      input.bind(action, buttons, 'pad');
+    } else if (rest.length) {
+      input.bind(action, rest.map(keyFromName));
+    }
+    return describeBinding(action);
+  },
+  complete: (i) => (i === 0 ? [...Object.keys(input.bindings.keys), 'reset'] : []),
+});
+
+devConsole.register('seed', {
+  usage: 'seed [n|text]',
+  help: 'Load the world for another seed (no arguments: print it)',
+  run(args) {
+    if (!args.length) return `Seed ${world.seed}${world.infinite ? ' (infinite)' : ''}`;
+    const next = parseSeed(args.join(' '));
+    stopPlayback();
+    loadWorld(next, world.infinite);
+    acc = 0;
+    // Keep it across reloads.
+    params.set('seed', String(next));
+    history.replaceState(null, '', `${location.pathname}?${params}`);
+    return `Seed ${next}`;
+  },
+});
+
+// ===== Main loop =====
+let last = performance.now();
+let acc = 0;
 
-  if (transitioning) {
-    trans.progress += dt / trans.duration;
-    if (trans.progress >= 1) {
-      const e = trans.entrance;
+function tick(now) {
+  const frameDt = Math.min(0.25, (now - last) / 1000);
+  acc += frameDt * timeScale;
+  last = now;
 
-      // Switch layers without teleporting: you end up where your movement naturally carried you.
-      currentLayer = e.toLayer;
-      ui.setLayerUI(currentLayer);
-      // No positional nudge on exit: keep x/y exactly to avoid snapping.
+  input.poll();
+  const inputState = input.state();
+  let steps = 0;
+  while (acc >= SIM_DT && steps < MAX_STEPS_PER_FRAME) {
+    prev.x = player.x;
+    prev.y = player.y;
+    prev.progress = trans.progress;
+
+    let simEvents;
+    if (replayer) {
+      simEvents = replayer.next();
+    } else {
+      simEvents = sim.step(inputState, SIM_DT);
+      recorder.record(inputState, SIM_DT, simEvents);
+    }
 
-      transitioning = false;
-      trans.entrance = null;
-      trans.srcLayer = null;
-      trans.cooldown = PORTAL.transition.cooldown;
+    updateFootsteps(SIM_DT, now);
+    for (const ev of simEvents) {
+      emitSimEvent(ev);
+      if (ev.type === 'layerChanged' || ev.type === 'teleported') {
+        // Don't interpolate across a layer switch.
+        prev.x = player.x;
+        prev.y = player.y;
+      }
+      if (ev.type === 'teleported') {
+        // The transition camera already panned over to the arrival.
+        camera.snap(player.x, player.y);
+      }
+      if (ev.type === 'transitionCommitted') camera.shake(CAMERA.portalShake);
     }
+    acc -= SIM_DT;
+    steps++;
+
+    if (replayer && replayer.done) finishReplay();
   }
+  if (steps === MAX_STEPS_PER_FRAME) acc = 0;
+  updateLayerHUD();
+  exploration.reveal(sim.layer, player.x, player.y, MAP.revealRadius);
 
-  cam.x += (player.x - cam.x) * cam.smooth;
-  cam.y += (player.y - cam.y) * cam.smooth;
+  autosave(now);
+  game.plugins.update(frameDt);
 
-  render(now, mvx, mvy);
-  requestAnimationFrame(tick);
-}
+  if (recorder.recording) ui.setStatus(`● REC ${recorder.frameCount}`);
+  else if (replayer) ui.setStatus(`▶ Replay ${replayer.frame}/${replayer.frameCount}`);
 
-function render(now, mvx, mvy) {
-  const w = innerWidth, h = innerHeight;
-  const camX = cam.x - w / 2;
-  const camY = cam.y - h / 2;
+  const alpha = acc / SIM_DT;
+  const viewX = lerp(prev.x, player.x, alpha);
+  const viewY = lerp(prev.y, player.y, alpha);
 
-  renderer.clear(currentLayer, w, h);
-  renderer.renderChunks(currentLayer, now, camX, camY, null, debug);
+  camera.follow(frameDt, { x: viewX, y: viewY, vx: player.vx, vy: player.vy });
+  const view = camera.view(canvasSystem.width, canvasSystem.height, canvasSystem.pixelRatio);
 
-  const entrances = world.getNearbyEntrances(currentLayer, player.x, player.y, now);
+  render(now, viewX, viewY, alpha, view);
+  // After rendering, so on-screen chunks are requested first.
+  prefetcher.update(sim.layer, player, sim.entrances, view.w, view.h);
+  requestAnimationFrame(tick);
+}
 
-  // For portal previews/transition, use the SAME camera as the main render to avoid end-of-animation snapping.
-  const portalCamX = camX;
-  const portalCamY = camY;
+// Teleports pan the look-through camera from the mouth over to where the
+// player will come out, so the transition ends on the view the camera snaps
+// to on arrival.
+function transitionCamera(e, camX, camY, viewX, viewY, t, view) {
+  const pc = portalCamera(e, camX, camY);
+  if (e.kind !== 'teleport') return pc;
+  const out = { x: viewX, y: viewY };
+  teleportBody(e, out);
+  const c = camera.clampCenter(out.x, out.y, view.w, view.h);
+  return {
+    x: lerp(pc.x, c.x - view.w / 2, t),
+    y: lerp(pc.y, c.y - view.h / 2, t),
+  };
+}
 
+// The world is drawn in view space under ctx.scale(zoom) (into the low-res
+// target in pixel mode); the map, minimap and debug text go on top in screen
+// space, after present().
+function render(now, viewX, viewY, alpha, view) {
+  const sw = innerWidth, sh = innerHeight;
+  const { x: camX, y: camY, w, h, zoom } = view;
+  const layer = sim.layer;
+  // Whole device (or target) pixels, so sprites don't shimmer.
+  const unit = zoom * canvasSystem.pixelRatio;
+  const snap = (v) => Math.round(v * unit) / unit;
+
+  renderer.clear(layer, canvasSystem.width, canvasSystem.height);
+  ctx.save();
+  ctx.scale(zoom, zoom);
+  renderer.setViewSize(w, h);
+  renderer.renderChunks(layer, now, camX, camY, null, debug);
+  renderer.drawFootsteps(footsteps, layer, now, STEP_LIFE, camX, camY);
+
+  const entrances = sim.entrances;
+  lighting.draw(layer, camX, camY, w, h, { x: viewX, y: viewY }, now, { entrances });
+
+  // The far side of a portal gets its own layer's lighting, with the player's
+  // light carried over to the same spot on screen. Only the part of the
+  // screen the portal covers is lit.
+  const farLighting = (rect) => (toLayer, pcX, pcY) => {
+    lighting.draw(toLayer, pcX, pcY, w, h, { x: viewX - camX + pcX, y: viewY - camY + pcY }, now, { rect });
+  };
+
+  // Portal previews/transitions look through a camera offset to the arrival point. For stacked portals
+  // that's the SAME camera as the main render, which avoids end-of-animation snapping.
   for (const e of entrances) {
-    renderer.drawPortalPreview(e, now, camX, camY, portalCamX, portalCamY);
+    const aabb = portalStartRectScreen(e, camX, camY);
+    if (aabb.x < w && aabb.y < h && aabb.x + aabb.w > 0 && aabb.y + aabb.h > 0) {
+      const pc = portalCamera(e, camX, camY);
+      renderer.drawPortalPreview(e, now, camX, camY, pc.x, pc.y, farLighting(aabb));
+    }
     renderer.drawArrow(e, camX, camY);
   }
 
-  if (transitioning && trans.entrance) {
-    renderer.drawTransition(trans.entrance, now, camX, camY, portalCamX, portalCamY, trans.progress, easeInOut);
+  if (trans.active && trans.entrance) {
+    // The reveal follows the player through the mouth (and back out).
+    const progress = clamp(lerp(prev.progress, trans.progress, alpha), 0, 1);
+    const pc = transitionCamera(trans.entrance, camX, camY, viewX, viewY, easeInOut(progress), view);
+    renderer.drawTransition(trans.entrance, now, camX, camY, pc.x, pc.y, progress, easeInOut, farLighting(null));
   }
 
   // player
-  const px = player.x - camX;
-  const py = player.y - camY;
+  const px = snap(viewX - camX);
+  const py = snap(viewY - camY);
 
   ctx.save();
   ctx.globalAlpha = 0.35;
@@ -196,17 +708,42 @@ function render(now, mvx, mvy) {
   ctx.fillRect(-player.r + 3, -player.r + 3, 6, 6);
   ctx.restore();
 
-  ui.setEntranceInfo(transitioning ? 'Transitioning…' : `Portals: ${entrances.length}`);
+  game.plugins.render(ctx, { layer, camX, camY, w, h, zoom, now, alpha });
+  ctx.restore();
+  canvasSystem.present();
 
-  if (!transitioning) tryStartTransition(entrances, mvx, mvy);
+  if (showMap) mapRenderer.drawFullMap(layer, { x: viewX, y: viewY }, sw, sh);
+  else mapRenderer.drawMinimap(layer, { x: viewX, y: viewY }, sw);
+
+  updatePortalHUD(entrances, viewX, viewY);
 
   if (debug) {
-    ctx.save();
-    ctx.fillStyle = 'rgba(255,255,255,0.9)';
-    ctx.font = '12px ui-sans-serif,system-ui';
-    ctx.fillText(`Layer=${currentLayer} pos=(${player.x.toFixed(1)},${player.y.toFixed(1)}) cache=${world.cacheSize}`, 14, h - 14);
-    ctx.restore();
+    screenCtx.save();
+    screenCtx.fillStyle = 'rgba(255,255,255,0.9)';
+    screenCtx.font = '12px ui-sans-serif,system-ui';
+    const st = world.stats;
+    const hitRate = st.hits + st.misses ? (100 * st.hits / (st.hits + st.misses)).toFixed(1) : '—';
+    screenCtx.fillText(`Layer=${layer} pos=(${player.x.toFixed(1)},${player.y.toFixed(1)}) seed=${world.seed}${world.infinite ? ' ∞' : ''} cache=${world.cacheSize} (${(world.cacheBytes / 1048576).toFixed(0)} MB) pending=${world.pendingCount} zoom=${zoom.toFixed(2)}${canvasSystem.virtual ? ` pixel=${canvasSystem.width}x${canvasSystem.height}` : ''}`, 14, sh - 32);
+    screenCtx.fillText(`hits=${st.hits} misses=${st.misses} (${hitRate}%) gen=${st.generated} avg=${st.genMsAvg.toFixed(2)}ms last=${st.genMsLast.toFixed(2)}ms prefetched=${st.prefetched} evicted=${st.evicted}`, 14, sh - 14);
+    screenCtx.restore();
+  }
+}
+
+// Start at a shared location (#layer=..&x=..&y=..), else carry on from this
+// world's autosave.
+if (!jumpToHash()) {
+  const auto = readSlot('auto');
+  if (auto && auto.state.seed === sim.seed && !!auto.state.infinite === world.infinite) applySave(auto);
+}
+
+for (const url of params.getAll('plugin')) {
+  // Same origin only: a shared link must not be able to run foreign code.
+  const resolved = new URL(url, location.href);
+  if (resolved.origin !== location.origin) {
+    ui.setStatus(`Ignoring cross-origin plugin ${resolved.href}`);
+    continue;
   }
+  game.plugins.load(resolved.href).catch((err) => ui.setStatus(`Plugin ${url} failed: ${err.message}`));
 }
 
 requestAnimationFrame(tick);
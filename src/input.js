@@ -1,20 +1,304 @@
-export function createInput() {
+import { clamp } from './math.js';
+
+/**
+ * Input (v0.5.0)
+ * - Actions instead of raw keys: moveX / moveY (axes), sprint (held),
+ *   toggleDebug / toggleRecord / toggleMap / toggleConsole, zoom and the
+ *   save/load actions (pressed)
+ * - Sources: keyboard, Gamepad API (left stick + d-pad), on-screen joystick
+ *   for touch devices
+ * - Keyboard and gamepad bindings are rebindable and saved in localStorage
+ * - opts: { target, storage, touch } (window, localStorage and touch controls
+ *   by default; tests pass an EventTarget and a fake storage)
+ */
+
+const STORAGE_KEY = 'doomzio.bindings.v1';
+const STICK_DEADZONE = 0.18;
+const TOUCH_STICK_RADIUS = 56;
+
+export const DEFAULT_BINDINGS = {
+  keys: {
+    up:          ['w', 'arrowup'],
+    down:        ['s', 'arrowdown'],
+    left:        ['a', 'arrowleft'],
+    right:       ['d', 'arrowright'],
+    sprint:      ['shift'],
+    toggleDebug: ['f'],
+    toggleControls: ['k'],
+    toggleRecord: ['f9'],
+    toggleMap:   ['m'],
+    saveGame:    ['f5'],
+    exportSave:  ['f6'],
+    nextSlot:    ['f7'],
+    loadGame:    ['f8'],
+    copyLink:    ['l'],
+    toggleConsole: ['`'],
+    zoomIn:      ['=', '+'],
+    zoomOut:     ['-', '_'],
+    zoomReset:   ['0'],
+  },
+  // Standard gamepad mapping button indices.
+  pad: {
+    up:          [12],
+    down:        [13],
+    left:        [14],
+    right:       [15],
+    sprint:      [0, 7],
+    toggleDebug: [8],
+    toggleControls: [],
+    toggleRecord: [],
+    toggleMap:   [9],
+    saveGame:    [],
+    exportSave:  [],
+    nextSlot:    [],
+    loadGame:    [],
+    copyLink:    [],
+    toggleConsole: [],
+    zoomIn:      [5],
+    zoomOut:     [4],
+    zoomReset:   [],
+  },
+};
+
+function cloneBindings(b) {
+  return JSON.parse(JSON.stringify(b));
+}
+
+function loadBindings(storage) {
+  const out = cloneBindings(DEFAULT_BINDINGS);
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) || 'null');
+    if (saved) {
+      for (const kind of ['keys', 'pad']) {
+        for (const [action, list] of Object.entries(saved[kind] || {})) {
+          if (action in out[kind] && Array.isArray(list)) out[kind][action] = list;
+        }
+      }
+    }
+  } catch {
+    // Private mode or corrupt data: defaults are fine.
+  }
+  return out;
+}
+
+// Radial deadzone, rescaled so output still spans the full 0..1 range.
+function applyDeadzone(x, y) {
+  const len = Math.hypot(x, y);
+  if (len < STICK_DEADZONE) return [0, 0];
+  const scaled = Math.min(1, (len - STICK_DEADZONE) / (1 - STICK_DEADZONE));
+  return [(x / len) * scaled, (y / len) * scaled];
+}
+
+function createTouchControls(onSprint) {
+  const stick = { active: false, id: null, ox: 0, oy: 0, x: 0, y: 0 };
+
+  const base = document.createElement('div');
+  base.id = 'touchStick';
+  const knob = document.createElement('div');
+  knob.id = 'touchKnob';
+  base.appendChild(knob);
+
+  const sprintBtn = document.createElement('div');
+  sprintBtn.id = 'touchSprint';
+  sprintBtn.textContent = 'Sprint';
+
+  document.body.append(base, sprintBtn);
+
+  function show() {
+    document.body.classList.add('touch');
+  }
+
+  function placeKnob() {
+    base.style.left = `${stick.ox}px`;
+    base.style.top = `${stick.oy}px`;
+    knob.style.transform = `translate(${stick.x * TOUCH_STICK_RADIUS}px, ${stick.y * TOUCH_STICK_RADIUS}px)`;
+  }
+
+  addEventListener('pointerdown', (e) => {
+    if (e.pointerType !== 'touch') return;
+    show();
+    // Left half of the screen grabs the joystick wherever the thumb lands.
+    if (stick.active || e.clientX > innerWidth / 2 || e.target === sprintBtn) return;
+    stick.active = true;
+    stick.id = e.pointerId;
+    stick.ox = e.clientX;
+    stick.oy = e.clientY;
+    stick.x = stick.y = 0;
+    base.classList.add('active');
+    placeKnob();
+  });
+
+  addEventListener('pointermove', (e) => {
+    if (!stick.active || e.pointerId !== stick.id) return;
+    let dx = (e.clientX - stick.ox) / TOUCH_STICK_RADIUS;
+    let dy = (e.clientY - stick.oy) / TOUCH_STICK_RADIUS;
+    const len = Math.hypot(dx, dy);
+    if (len > 1) { dx /= len; dy /= len; }
+    stick.x = dx;
+    stick.y = dy;
+    placeKnob();
+  });
+
+  function release(e) {
+    if (e.pointerId !== stick.id) return;
+    stick.active = false;
+    stick.id = null;
+    stick.x = stick.y = 0;
+    base.classList.remove('active');
+  }
+  addEventListener('pointerup', release);
+  addEventListener('pointercancel', release);
+
+  sprintBtn.addEventListener('pointerdown', (e) => { e.preventDefault(); onSprint(true); });
+  sprintBtn.addEventListener('pointerup', () => onSprint(false));
+  sprintBtn.addEventListener('pointercancel', () => onSprint(false));
+  sprintBtn.addEventListener('pointerleave', () => onSprint(false));
+
+  return stick;
+}
+
+export function createInput(opts = {}) {
+  const target = opts.target ?? globalThis;
+  const storage = opts.storage ?? globalThis.localStorage;
   const keys = new Set();
   const keyHandlers = new Map();
+  const actionHandlers = new Map(); // action -> [cb]
+  let bindings = loadBindings(storage);
+  let capture = null; // callback taking the next key press (controls panel)
+
+  let padButtons = [];   // pressed state from the last poll
+  let padAxes = [0, 0];
+  let touchSprint = false;
+
+  function fireAction(action, e) {
+    for (const cb of actionHandlers.get(action) || []) cb(e);
+  }
+
+  function actionsForKey(k) {
+    const out = [];
+    for (const [action, list] of Object.entries(bindings.keys)) {
+      if (list.includes(k)) out.push(action);
+    }
+    return out;
+  }
 
-  addEventListener('keydown', (e) => {
+  target.addEventListener('keydown', (e) => {
     const k = e.key.toLowerCase();
+    if (capture) {
+      const cb = capture;
+      capture = null;
+      cb(k, e);
+      return;
+    }
+    const wasDown = keys.has(k);
     keys.add(k);
     const fn = keyHandlers.get(k);
     if (fn) fn(e);
+    if (!wasDown) for (const action of actionsForKey(k)) fireAction(action, e);
   });
 
-  addEventListener('keyup', (e) => {
+  target.addEventListener('keyup', (e) => {
     keys.delete(e.key.toLowerCase());
   });
 
+  // Forget held keys and touch sprint, e.g. when a text field takes the
+  // keyboard and would swallow their keyups.
+  function reset() {
+    keys.clear();
+    touchSprint = false;
+  }
+
+  target.addEventListener('blur', reset);
+
+  const touch = opts.touch ?? typeof document !== 'undefined';
+  const stick = touch ? createTouchControls((down) => { touchSprint = down; }) : { x: 0, y: 0 };
+
+  function keyHeld(action) {
+    return bindings.keys[action].some((k) => keys.has(k));
+  }
+
+  function padHeld(action) {
+    return bindings.pad[action].some((i) => padButtons[i]);
+  }
+
+  function held(action) {
+    return keyHeld(action) || padHeld(action);
+  }
+
+  // Gamepads are polled, not evented: call once per frame.
+  function poll() {
+    const pads = (typeof navigator !== 'undefined' && navigator.getGamepads) ? navigator.getGamepads() : [];
+    const pad = [...pads].find((p) => p && p.connected);
+    if (!pad) { padButtons = []; padAxes = [0, 0]; return; }
+
+    const prev = padButtons;
+    padButtons = pad.buttons.map((b) => b.pressed);
+    padAxes = applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+
+    for (const [action, list] of Object.entries(bindings.pad)) {
+      if (list.some((i) => padButtons[i] && !prev[i])) fireAction(action, null);
+    }
+  }
+
+  function axis(name) {
+    if (name === 'moveX') {
+      const digital = (held('right') ? 1 : 0) - (held('left') ? 1 : 0);
+      return clamp(digital + padAxes[0] + stick.x, -1, 1);
+    }
+    if (name === 'moveY') {
+      const digital = (held('down') ? 1 : 0) - (held('up') ? 1 : 0);
+      return clamp(digital + padAxes[1] + stick.y, -1, 1);
+    }
+    return 0;
+  }
+
+  function isActionDown(action) {
+    if (action === 'sprint' && touchSprint) return true;
+    return held(action);
+  }
+
+  // Simulation input for one frame.
+  function state() {
+    return { moveX: axis('moveX'), moveY: axis('moveY'), sprint: isActionDown('sprint') };
+  }
+
+  function save() {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+    } catch {
+      // Storage unavailable: bindings just won't persist.
+    }
+  }
+
+  // bind('sprint', ['shift', 'q']) or bind('sprint', [0], 'pad')
+  function bind(action, list, kind = 'keys') {
+    if (!(action in bindings[kind])) throw new Error(`Unknown action: ${action}`);
+    bindings[kind][action] = kind === 'keys' ? list.map((k) => k.toLowerCase()) : list.slice();
+    save();
+  }
+
+  function resetBindings() {
+    bindings = cloneBindings(DEFAULT_BINDINGS);
+    save();
+  }
+
   return {
     isDown: (key) => keys.has(key.toLowerCase()),
     onKey: (key, cb) => keyHandlers.set(key.toLowerCase(), cb),
+    onAction: (action, cb) => {
+      if (!actionHandlers.has(action)) actionHandlers.set(action, []);
+      actionHandlers.get(action).push(cb);
+    },
+    poll,
+    reset,
+    axis,
+    isActionDown,
+    state,
+    bind,
+    resetBindings,
+    // The next key press goes to cb(key) instead of the bound actions.
+    captureKey: (cb) => { capture = cb; },
+    isBound: (action, key) => bindings.keys[action]?.includes(key.toLowerCase()) ?? false,
+    get bindings() { return cloneBindings(bindings); },
   };
 }
@@ -0,0 +1,149 @@
+import { CHUNK_TILES, CHUNK_PX, TILE, LAYERS, LIGHT } from './config.js';
+import { createLRU } from './lru.js';
+
+/**
+ * 2D lighting for dark layers (Canvas 2D only).
+ * - A low-res darkness map (1 - ambient) is filled each frame, light sources
+ *   are cut out of it with destination-out gradients, and it is stretched
+ *   over the scene (the upscale doubles as blur)
+ * - Sources: the player, portals leading up (daylight spilling out of the
+ *   mouth) and glowing materials, which also get an additive colour tint
+ * - Layers with ambient 1 (the Surface) skip the pass entirely
+ */
+
+const GLOW_CACHE_MAX = 2048;
+
+export function createLighting(ctx, world) {
+  const canvas = document.createElement('canvas');
+  const g = canvas.getContext('2d');
+
+  // Per chunk: a CHUNK_TILES² canvas with glowing tiles (alpha = glow), or
+  // null when nothing in it glows.
+  const glowCache = createLRU({ maxEntries: GLOW_CACHE_MAX });
+
+  function glowChunk(layer, cx, cy) {
+    const key = `${layer}:${cx}:${cy}`;
+    if (glowCache.has(key)) return glowCache.get(key);
+
+    let img = null, c = null;
+    for (let ly = 0; ly < CHUNK_TILES; ly++) {
+      for (let lx = 0; lx < CHUNK_TILES; lx++) {
+        const tx = cx * CHUNK_TILES + lx, ty = cy * CHUNK_TILES + ly;
+        const m = world.materialAt(layer, (tx + 0.5) * TILE, (ty + 0.5) * TILE);
+        if (!m.glow) continue;
+        if (!img) {
+          img = document.createElement('canvas');
+          img.width = img.height = CHUNK_TILES;
+          c = img.getContext('2d');
+        }
+        c.fillStyle = `rgba(${m.rgb[0]},${m.rgb[1]},${m.rgb[2]},${m.glow})`;
+        c.fillRect(lx, ly, 1, 1);
+      }
+    }
+    glowCache.set(key, img);
+    return img;
+  }
+
+  // Portal lights come from `entrances` when the caller already has them,
+  // otherwise from the chunks being lit.
+  function lightsFor(layer, view, now, range, entrances) {
+    const flicker = 1 + LIGHT.flicker * Math.sin(now * 0.013) * Math.sin(now * 0.0071);
+    const lights = [{ x: view.x, y: view.y, r: LIGHT.playerRadius * flicker, color: null }];
+    if (!entrances) {
+      entrances = [];
+      for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+        for (let cx = range.minCX; cx <= range.maxCX; cx++) entrances.push(...world.portals.entrancesForChunk(layer, cx, cy));
+      }
+    }
+    for (const e of entrances) {
+      if (e.toLayer >= layer) continue;
+      // Centred just outside the mouth so the light spills out of it.
+      lights.push({
+        x: e.x - e.dir.dx * e.mouthH / 2,
+        y: e.y - e.dir.dy * e.mouthH / 2,
+        r: LIGHT.portalRadius,
+        color: LIGHT.portalColor,
+      });
+    }
+    return lights;
+  }
+
+  function radial(c, x, y, r, inner, outer) {
+    const grad = c.createRadialGradient(x, y, 0, x, y, r);
+    grad.addColorStop(0, inner);
+    grad.addColorStop(1, outer);
+    c.fillStyle = grad;
+    c.fillRect(x - r, y - r, r * 2, r * 2);
+  }
+
+  // Darken the screen for `layer` as seen from (camX, camY); view is the
+  // player's world position. Respects the caller's clip and globalAlpha.
+  // opts: { rect } limits the pass to that screen rect (a portal's mouth),
+  // { entrances } are the portals near the view, if already gathered.
+  function draw(layer, camX, camY, w, h, view, now, opts = {}) {
+    const ambient = LAYERS[layer].ambient ?? 1;
+    if (ambient >= 1) return;
+
+    const r = opts.rect;
+    const rx = r ? Math.max(0, r.x) : 0, ry = r ? Math.max(0, r.y) : 0;
+    const rw = (r ? Math.min(w, r.x + r.w) : w) - rx, rh = (r ? Math.min(h, r.y + r.h) : h) - ry;
+    if (rw <= 0 || rh <= 0) return;
+
+    // The light map only grows, so small portal passes don't reallocate the
+    // full-screen one every frame; each pass uses its top-left corner.
+    const s = LIGHT.resolution;
+    const lw = Math.max(1, Math.ceil(rw * s)), lh = Math.max(1, Math.ceil(rh * s));
+    if (canvas.width < lw || canvas.height < lh) {
+      canvas.width = Math.max(canvas.width, lw);
+      canvas.height = Math.max(canvas.height, lh);
+    }
+
+    const range = world.chunkRangeForRect(camX, camY, { x: rx, y: ry, w: rw, h: rh });
+    const { minCX, maxCX, minCY, maxCY } = range;
+    const lights = lightsFor(layer, view, now, range, opts.entrances);
+    const ox = camX + rx, oy = camY + ry; // world position of the pass's corner
+
+    // Darkness, with the lights cut out.
+    g.globalCompositeOperation = 'source-over';
+    g.clearRect(0, 0, lw, lh);
+    g.fillStyle = `rgba(0,0,0,${1 - ambient})`;
+    g.fillRect(0, 0, lw, lh);
+
+    g.globalCompositeOperation = 'destination-out';
+    for (const l of lights) {
+      radial(g, (l.x - ox) * s, (l.y - oy) * s, l.r * s, 'rgba(0,0,0,1)', 'rgba(0,0,0,0)');
+    }
+    g.imageSmoothingEnabled = true;
+    for (let cy = minCY; cy <= maxCY; cy++) {
+      for (let cx = minCX; cx <= maxCX; cx++) {
+        const glow = glowChunk(layer, cx, cy);
+        if (glow) g.drawImage(glow, (cx * CHUNK_PX - ox) * s, (cy * CHUNK_PX - oy) * s, CHUNK_PX * s, CHUNK_PX * s);
+      }
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(rx, ry, rw, rh);
+    ctx.clip();
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(canvas, 0, 0, lw, lh, rx, ry, lw / s, lh / s);
+
+    // Coloured light on top.
+    ctx.globalCompositeOperation = 'lighter';
+    for (const l of lights) {
+      if (!l.color) continue;
+      const [cr, cg, cb] = l.color;
+      radial(ctx, l.x - camX, l.y - camY, l.r, `rgba(${cr},${cg},${cb},0.22)`, `rgba(${cr},${cg},${cb},0)`);
+    }
+    ctx.globalAlpha *= 0.35;
+    for (let cy = minCY; cy <= maxCY; cy++) {
+      for (let cx = minCX; cx <= maxCX; cx++) {
+        const glow = glowChunk(layer, cx, cy);
+        if (glow) ctx.drawImage(glow, cx * CHUNK_PX - camX, cy * CHUNK_PX - camY, CHUNK_PX, CHUNK_PX);
+      }
+    }
+    ctx.restore();
+  }
+
+  return { draw };
+}
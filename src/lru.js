@@ -0,0 +1,60 @@
+/**
+ * LRU cache with an entry limit and a byte budget.
+ * A Map keeps insertion order, so re-inserting on access makes the first key
+ * the least recently used one: get/set/evict are all O(1).
+ */
+export function createLRU({ maxEntries = Infinity, maxBytes = Infinity, onEvict = null } = {}) {
+  const map = new Map(); // key -> { value, bytes }
+  let bytes = 0;
+
+  function evictOldest() {
+    const key = map.keys().next().value;
+    const entry = map.get(key);
+    map.delete(key);
+    bytes -= entry.bytes;
+    if (onEvict) onEvict(key, entry.value);
+  }
+
+  function get(key) {
+    const entry = map.get(key);
+    if (!entry) return undefined;
+    map.delete(key);
+    map.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, size = 0) {
+    const old = map.get(key);
+    if (old) {
+      bytes -= old.bytes;
+      map.delete(key);
+    }
+    map.set(key, { value, bytes: size });
+    bytes += size;
+    while (map.size > 1 && (map.size > maxEntries || bytes > maxBytes)) evictOldest();
+  }
+
+  function remove(key) {
+    const entry = map.get(key);
+    if (!entry) return false;
+    map.delete(key);
+    bytes -= entry.bytes;
+    if (onEvict) onEvict(key, entry.value);
+    return true;
+  }
+
+  function clear() {
+    while (map.size) evictOldest();
+  }
+
+  return {
+    get,
+    set,
+    has: (key) => map.has(key),
+    peek: (key) => map.get(key)?.value,
+    delete: remove,
+    clear,
+    get size() { return map.size; },
+    get bytes() { return bytes; },
+  };
+}
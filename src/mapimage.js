@@ -0,0 +1,142 @@
+import {
+  CHUNK_PX,
+  WORLD_CHUNKS_W, WORLD_CHUNKS_H,
+  LAYERS,
+} from './config.js';
+
+/**
+ * Whole-layer map images as plain RGBA buffers (no DOM, runs in Node).
+ * - renderLayerImage() stitches chunk pixels for a chunk rectangle, scaled
+ *   by nearest-neighbour sampling, with optional chunk grid and portal markers
+ *   (same shapes as the minimap: circle = two-way, triangle = one-way,
+ *   diamond = teleport, colored by the destination layer's mapColor)
+ * - sideBySide() lays several images out in a row
+ * Images are { width, height, data: Uint8ClampedArray }.
+ */
+
+const WORLD_BOUNDS = { minCX: 0, minCY: 0, maxCX: WORLD_CHUNKS_W - 1, maxCY: WORLD_CHUNKS_H - 1 };
+const GRID_RGBA = [255, 255, 255, 0.28];
+const MARKER_OUTLINE = [17, 24, 39];
+const MARKER_SIZE = 6;
+
+function createImage(width, height, rgb = [0, 0, 0]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = rgb[0];
+    data[i + 1] = rgb[1];
+    data[i + 2] = rgb[2];
+    data[i + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function blendPixel(img, x, y, [r, g, b], a = 1) {
+  if (x < 0 || y < 0 || x >= img.width || y >= img.height) return;
+  const i = (y * img.width + x) * 4;
+  const d = img.data;
+  d[i] += (r - d[i]) * a;
+  d[i + 1] += (g - d[i + 1]) * a;
+  d[i + 2] += (b - d[i + 2]) * a;
+}
+
+// inside(lx, ly, r): point test around the marker centre for radius r.
+function fillShape(img, sx, sy, size, inside, rgb) {
+  const reach = Math.ceil(size + 2);
+  for (let y = -reach; y <= reach; y++) {
+    for (let x = -reach; x <= reach; x++) {
+      if (inside(x, y, size + 1.5)) blendPixel(img, Math.round(sx) + x, Math.round(sy) + y, inside(x, y, size) ? rgb : MARKER_OUTLINE);
+    }
+  }
+}
+
+function markerShape(e) {
+  if (e.kind === 'teleport') return (x, y, r) => Math.abs(x) + Math.abs(y) <= r;
+  if (e.mode === 'oneway') {
+    // Points "into" the mouth (local +Y, see DIRS).
+    const cos = Math.cos(-e.dir.ang), sin = Math.sin(-e.dir.ang);
+    return (x, y, r) => {
+      const lx = x * cos - y * sin;
+      const ly = x * sin + y * cos;
+      return ly >= -0.8 * r && ly <= r && Math.abs(lx) <= (r - ly) / 1.8;
+    };
+  }
+  return (x, y, r) => Math.hypot(x, y) <= r * 0.8;
+}
+
+/**
+ * opts: { bounds = the bounded world ({ minCX, minCY, maxCX, maxCY }, inclusive;
+ * required for infinite worlds), scale = 1, grid = false, portals = false }
+ */
+export function renderLayerImage(world, layer, opts = {}) {
+  if (world.infinite && !opts.bounds) throw new Error('renderLayerImage: infinite worlds need opts.bounds');
+  const b = opts.bounds ?? WORLD_BOUNDS;
+  const scale = opts.scale ?? 1;
+  const x0 = b.minCX * CHUNK_PX, y0 = b.minCY * CHUNK_PX;
+  const width = Math.max(1, Math.round((b.maxCX - b.minCX + 1) * CHUNK_PX * scale));
+  const height = Math.max(1, Math.round((b.maxCY - b.minCY + 1) * CHUNK_PX * scale));
+  const img = createImage(width, height);
+  const toX = (wx) => (wx - x0) * scale;
+  const toY = (wy) => (wy - y0) * scale;
+
+  for (let cy = b.minCY; cy <= b.maxCY; cy++) {
+    for (let cx = b.minCX; cx <= b.maxCX; cx++) {
+      const src = world.chunkPixels(layer, cx, cy);
+      const ox0 = Math.round(toX(cx * CHUNK_PX)), ox1 = Math.round(toX((cx + 1) * CHUNK_PX));
+      const oy0 = Math.round(toY(cy * CHUNK_PX)), oy1 = Math.round(toY((cy + 1) * CHUNK_PX));
+      for (let oy = oy0; oy < oy1; oy++) {
+        const py = Math.min(CHUNK_PX - 1, Math.floor((oy - oy0 + 0.5) / scale));
+        for (let ox = ox0; ox < ox1; ox++) {
+          const px = Math.min(CHUNK_PX - 1, Math.floor((ox - ox0 + 0.5) / scale));
+          const si = (py * CHUNK_PX + px) * 4, di = (oy * width + ox) * 4;
+          img.data[di] = src[si];
+          img.data[di + 1] = src[si + 1];
+          img.data[di + 2] = src[si + 2];
+        }
+      }
+    }
+  }
+
+  if (opts.grid) {
+    const [r, g, bl, a] = GRID_RGBA;
+    for (let cx = b.minCX + 1; cx <= b.maxCX; cx++) {
+      const x = Math.round(toX(cx * CHUNK_PX));
+      for (let y = 0; y < height; y++) blendPixel(img, x, y, [r, g, bl], a);
+    }
+    for (let cy = b.minCY + 1; cy <= b.maxCY; cy++) {
+      const y = Math.round(toY(cy * CHUNK_PX));
+      for (let x = 0; x < width; x++) blendPixel(img, x, y, [r, g, bl], a);
+    }
+  }
+
+  if (opts.portals) {
+    for (let cy = b.minCY; cy <= b.maxCY; cy++) {
+      for (let cx = b.minCX; cx <= b.maxCX; cx++) {
+        for (const e of world.portals.entrancesForChunk(layer, cx, cy)) {
+          fillShape(img, toX(e.x), toY(e.y), MARKER_SIZE, markerShape(e), hexToRgb(LAYERS[e.toLayer].mapColor));
+        }
+      }
+    }
+  }
+
+  return img;
+}
+
+// Images in a row, top-aligned, `gap` px apart.
+export function sideBySide(images, gap = 8, background = [0, 0, 0]) {
+  const width = images.reduce((w, im) => w + im.width, 0) + gap * Math.max(0, images.length - 1);
+  const height = Math.max(...images.map((im) => im.height));
+  const out = createImage(width, height, background);
+  let x = 0;
+  for (const im of images) {
+    for (let y = 0; y < im.height; y++) {
+      out.data.set(im.data.subarray(y * im.width * 4, (y + 1) * im.width * 4), (y * width + x) * 4);
+    }
+    x += im.width + gap;
+  }
+  return out;
+}
@@ -0,0 +1,210 @@
+import {
+  TILE, CHUNK_TILES, CHUNK_PX,
+  WORLD_W, WORLD_H,
+  LAYERS, LAYER_NAMES,
+  MAP,
+} from './config.js';
+import { roundRectSubPath } from './math.js';
+import { createLRU } from './lru.js';
+
+/**
+ * Minimap (corner) and full-screen world map.
+ * - One map pixel per tile, painted per chunk into tiny canvases that only
+ *   get repainted when the exploration data for that chunk changes (LRU of
+ *   MAP.chunkCacheMax, so infinite worlds don't grow it forever)
+ * - Unexplored tiles stay transparent (fog of war, per layer)
+ * - Portal sites: circle = two-way, triangle = one-way (points "into" the
+ *   mouth), diamond = teleport, colored by the destination layer's mapColor
+ */
+
+const WALL_SHADE = 0.45;
+
+export function createMapRenderer(ctx, world, portals, exploration) {
+  const cache = createLRU({ maxEntries: MAP.chunkCacheMax }); // "layer:cx:cy" -> { canvas, g, img, base, version }
+
+  // Biome colors for a chunk, computed once (walls darkened).
+  function baseColors(layer, cx, cy) {
+    const base = new Uint8ClampedArray(CHUNK_TILES * CHUNK_TILES * 3);
+    for (let ly = 0; ly < CHUNK_TILES; ly++) {
+      for (let lx = 0; lx < CHUNK_TILES; lx++) {
+        const tx = cx * CHUNK_TILES + lx, ty = cy * CHUNK_TILES + ly;
+        const { rgb } = world.materialAt(layer, (tx + 0.5) * TILE, (ty + 0.5) * TILE);
+        const k = world.isSolidTile(layer, tx, ty) ? WALL_SHADE : 1;
+        const i = (ly * CHUNK_TILES + lx) * 3;
+        base[i] = rgb[0] * k;
+        base[i + 1] = rgb[1] * k;
+        base[i + 2] = rgb[2] * k;
+      }
+    }
+    return base;
+  }
+
+  function chunkImage(layer, ex) {
+    const key = `${layer}:${ex.cx}:${ex.cy}`;
+    let m = cache.get(key);
+    if (!m) {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = CHUNK_TILES;
+      const g = canvas.getContext('2d');
+      m = { canvas, g, img: g.createImageData(CHUNK_TILES, CHUNK_TILES), base: baseColors(layer, ex.cx, ex.cy), version: -1 };
+      cache.set(key, m);
+    }
+    if (m.version !== ex.version) {
+      const d = m.img.data;
+      for (let i = 0; i < ex.cells.length; i++) {
+        d[i * 4] = m.base[i * 3];
+        d[i * 4 + 1] = m.base[i * 3 + 1];
+        d[i * 4 + 2] = m.base[i * 3 + 2];
+        d[i * 4 + 3] = ex.cells[i] ? 255 : 0;
+      }
+      m.g.putImageData(m.img, 0, 0);
+      m.version = ex.version;
+    }
+    return m.canvas;
+  }
+
+  function drawMarker(e, sx, sy, size) {
+    ctx.save();
+    ctx.translate(sx, sy);
+    ctx.fillStyle = LAYERS[e.toLayer].mapColor;
+    ctx.strokeStyle = '#111827';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    if (e.kind === 'teleport') {
+      ctx.moveTo(0, -size);
+      ctx.lineTo(size, 0);
+      ctx.lineTo(0, size);
+      ctx.lineTo(-size, 0);
+      ctx.closePath();
+    } else if (e.mode === 'oneway') {
+      ctx.rotate(e.dir.ang);
+      ctx.moveTo(0, size);
+      ctx.lineTo(-size, -size * 0.8);
+      ctx.lineTo(size, -size * 0.8);
+      ctx.closePath();
+    } else {
+      ctx.arc(0, 0, size * 0.8, 0, Math.PI * 2);
+    }
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Draw the explored part of a layer into a screen rect, centred on
+  // (centerX, centerY) world px at `scale` screen px per world px.
+  function drawView(layer, centerX, centerY, scale, rect, player, markerSize) {
+    const toSX = (wx) => Math.round(rect.x + rect.w / 2 + (wx - centerX) * scale);
+    const toSY = (wy) => Math.round(rect.y + rect.h / 2 + (wy - centerY) * scale);
+
+    const minCX = Math.floor((centerX - rect.w / 2 / scale) / CHUNK_PX);
+    const maxCX = Math.floor((centerX + rect.w / 2 / scale) / CHUNK_PX);
+    const minCY = Math.floor((centerY - rect.h / 2 / scale) / CHUNK_PX);
+    const maxCY = Math.floor((centerY + rect.h / 2 / scale) / CHUNK_PX);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(rect.x, rect.y, rect.w, rect.h);
+    ctx.clip();
+    ctx.imageSmoothingEnabled = false;
+
+    const markers = [];
+    for (let cy = minCY; cy <= maxCY; cy++) {
+      for (let cx = minCX; cx <= maxCX; cx++) {
+        const ex = exploration.getChunk(layer, cx, cy);
+        if (!ex) continue;
+        // Rounded edges so neighbouring chunks never leave a seam.
+        const x0 = toSX(cx * CHUNK_PX), x1 = toSX((cx + 1) * CHUNK_PX);
+        const y0 = toSY(cy * CHUNK_PX), y1 = toSY((cy + 1) * CHUNK_PX);
+        ctx.drawImage(chunkImage(layer, ex), x0, y0, x1 - x0, y1 - y0);
+
+        for (const e of portals.entrancesForChunk(layer, cx, cy)) {
+          if (exploration.isExplored(layer, Math.floor(e.x / TILE), Math.floor(e.y / TILE))) markers.push(e);
+        }
+      }
+    }
+
+    if (!world.infinite) {
+      ctx.strokeStyle = 'rgba(229,231,235,0.35)';
+      ctx.lineWidth = 1;
+      ctx.strokeRect(toSX(0) + 0.5, toSY(0) + 0.5, toSX(WORLD_W) - toSX(0), toSY(WORLD_H) - toSY(0));
+    }
+
+    for (const e of markers) drawMarker(e, toSX(e.x), toSY(e.y), markerSize);
+
+    // Player
+    ctx.fillStyle = '#ffffff';
+    ctx.strokeStyle = '#111827';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(toSX(player.x), toSY(player.y), markerSize * 0.8, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.restore();
+  }
+
+  function drawMinimap(layer, player, w) {
+    const size = MAP.miniSize;
+    const rect = { x: w - size - 12, y: 12, w: size, h: size };
+
+    ctx.save();
+    ctx.beginPath();
+    roundRectSubPath(ctx, rect.x - 2, rect.y - 2, rect.w + 4, rect.h + 4, 10);
+    ctx.fillStyle = 'rgba(17, 24, 39, 0.72)';
+    ctx.fill();
+    ctx.restore();
+
+    drawView(layer, player.x, player.y, size / (MAP.miniRange * 2), rect, player, 4);
+  }
+
+  // Bounds of what can be shown: the world, or the explored area when infinite.
+  function mapBounds(layer, player) {
+    if (!world.infinite) return { x0: 0, y0: 0, x1: WORLD_W, y1: WORLD_H };
+    let x0 = player.x - CHUNK_PX, y0 = player.y - CHUNK_PX;
+    let x1 = player.x + CHUNK_PX, y1 = player.y + CHUNK_PX;
+    for (const ex of exploration.chunks(layer)) {
+      x0 = Math.min(x0, ex.cx * CHUNK_PX);
+      y0 = Math.min(y0, ex.cy * CHUNK_PX);
+      x1 = Math.max(x1, (ex.cx + 1) * CHUNK_PX);
+      y1 = Math.max(y1, (ex.cy + 1) * CHUNK_PX);
+    }
+    return { x0, y0, x1, y1 };
+  }
+
+  function drawFullMap(layer, player, w, h) {
+    const pad = MAP.fullPadding;
+    const b = mapBounds(layer, player);
+    const scale = Math.min((w - pad * 2) / (b.x1 - b.x0), (h - pad * 2) / (b.y1 - b.y0));
+    const mw = (b.x1 - b.x0) * scale, mh = (b.y1 - b.y0) * scale;
+    const rect = { x: (w - mw) / 2, y: (h - mh) / 2, w: mw, h: mh };
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(3, 7, 18, 0.86)';
+    ctx.fillRect(0, 0, w, h);
+    ctx.restore();
+
+    drawView(layer, (b.x0 + b.x1) / 2, (b.y0 + b.y1) / 2, scale, rect, player, 6);
+
+    // Title + legend
+    ctx.save();
+    ctx.font = '14px ui-sans-serif,system-ui';
+    ctx.fillStyle = 'rgba(229,231,235,0.95)';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`Map · ${LAYER_NAMES[layer]}`, rect.x, pad / 2);
+
+    let lx = rect.x;
+    const ly = h - pad / 2;
+    ctx.font = '12px ui-sans-serif,system-ui';
+    // Every layer: teleports may lead elsewhere on the same one.
+    for (let l = 0; l < LAYERS.length; l++) {
+      drawMarker({ toLayer: l, mode: 'twoway' }, lx + 6, ly, 6);
+      ctx.fillStyle = 'rgba(229,231,235,0.9)';
+      ctx.fillText(`to ${LAYER_NAMES[l]}`, lx + 16, ly);
+      lx += 28 + ctx.measureText(`to ${LAYER_NAMES[l]}`).width;
+    }
+    ctx.fillText('● two-way  ▼ one-way  ◆ teleport', lx, ly);
+    ctx.restore();
+  }
+
+  return { drawMinimap, drawFullMap };
+}
@@ -0,0 +1,92 @@
+/**
+ * Plugin host: features hook into the frame without forking tick()/render().
+ * A plugin is a plain object:
+ *   { name, setup(game)?, update(dt, game)?, render(ctx, view, game)?, dispose()? }
+ * - setup runs on register and may return a cleanup function (handy for the
+ *   unsubscribers returned by game.events.on)
+ * - update runs once per frame after the simulation steps (dt in seconds)
+ * - render runs after the world and the player are drawn, under the map and
+ *   HUD, in view space (ctx is already scaled by the camera zoom);
+ *   view: { layer, camX, camY, w, h, zoom, now, alpha } with w/h in world px
+ * A plugin that throws is unregistered and its error goes out as an 'error'
+ * game event; the game keeps running.
+ */
+export function createPluginHost(game) {
+  const plugins = new Map(); // name -> { plugin, cleanup }
+
+  function report(name, phase, err) {
+    game.events?.emit('error', { source: `plugin "${name}" (${phase})`, error: err });
+  }
+
+  function fail(name, phase, err) {
+    unregister(name);
+    report(name, phase, err);
+  }
+
+  // Returns a function that unregisters the plugin.
+  function register(plugin) {
+    if (!plugin || typeof plugin.name !== 'string') throw new Error('A plugin needs a name');
+    if (plugins.has(plugin.name)) throw new Error(`Plugin already registered: ${plugin.name}`);
+    const entry = { plugin, cleanup: null };
+    plugins.set(plugin.name, entry);
+    try {
+      const cleanup = plugin.setup?.(game);
+      if (typeof cleanup === 'function') entry.cleanup = cleanup;
+    } catch (err) {
+      fail(plugin.name, 'setup', err);
+    }
+    return () => unregister(plugin.name);
+  }
+
+  function unregister(name) {
+    const entry = plugins.get(name);
+    if (!entry) return false;
+    plugins.delete(name);
+    try {
+      entry.cleanup?.();
+      entry.plugin.dispose?.();
+    } catch (err) {
+      report(name, 'dispose', err);
+    }
+    return true;
+  }
+
+  function update(dt) {
+    for (const { plugin } of [...plugins.values()]) {
+      if (!plugin.update) continue;
+      try {
+        plugin.update(dt, game);
+      } catch (err) {
+        fail(plugin.name, 'update', err);
+      }
+    }
+  }
+
+  function render(ctx, view) {
+    for (const { plugin } of [...plugins.values()]) {
+      if (!plugin.render) continue;
+      ctx.save();
+      try {
+        plugin.render(ctx, view, game);
+      } catch (err) {
+        fail(plugin.name, 'render', err);
+      }
+      ctx.restore();
+    }
+  }
+
+  // Register the default export of an ES module.
+  async function load(url) {
+    const mod = await import(url);
+    return register(mod.default);
+  }
+
+  return {
+    register,
+    unregister,
+    update,
+    render,
+    load,
+    get names() { return [...plugins.keys()]; },
+  };
+}
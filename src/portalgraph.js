@@ -0,0 +1,223 @@
+import {
+  TILE, CHUNK_TILES,
+  WORLD_CHUNKS_W, WORLD_CHUNKS_H,
+  LAYER_COUNT, LAYER_NAMES,
+} from './config.js';
+
+/**
+ * Portal graph analysis (headless, no DOM).
+ * - Every layer is split into walkable regions (4-connected tile components)
+ * - Nodes are (layer, region); each entrance is a directed edge, so one-way
+ *   portals only appear on their source side; teleports lead to their exit
+ * - analyze() reports regions nobody can reach and "traps" you can fall into
+ *   but never climb back out of; findRoute() plans the portals to take
+ * - Works on a chunk rectangle: the whole world when bounded, an explicit
+ *   { minCX, minCY, maxCX, maxCY } (inclusive) for infinite worlds
+ */
+
+const WORLD_BOUNDS = { minCX: 0, minCY: 0, maxCX: WORLD_CHUNKS_W - 1, maxCY: WORLD_CHUNKS_H - 1 };
+
+// All entrances in the bounds, grouped by portal site (one site per idBase).
+export function enumeratePortalSites(portalSystem, bounds = WORLD_BOUNDS) {
+  const sites = new Map();
+  for (let layer = 0; layer < LAYER_COUNT; layer++) {
+    for (let cy = bounds.minCY; cy <= bounds.maxCY; cy++) {
+      for (let cx = bounds.minCX; cx <= bounds.maxCX; cx++) {
+        for (const e of portalSystem.entrancesForChunk(layer, cx, cy)) {
+          let site = sites.get(e.idBase);
+          if (!site) {
+            site = { id: e.idBase, cx: e.cx, cy: e.cy, x: e.x, y: e.y, group: e.group, mode: e.mode, entrances: [] };
+            sites.set(e.idBase, site);
+          }
+          site.entrances.push(e);
+        }
+      }
+    }
+  }
+  return [...sites.values()];
+}
+
+// Tiles are addressed relative to the bounds origin (ox, oy in tiles).
+function labelRegions(world, layer, ox, oy, TILES_W, TILES_H) {
+  const labels = new Int32Array(TILES_W * TILES_H).fill(-1);
+  const sizes = [];
+  const stack = [];
+
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] !== -1) continue;
+    const sx = start % TILES_W, sy = (start / TILES_W) | 0;
+    if (world.isSolidTile(layer, ox + sx, oy + sy)) continue;
+
+    const id = sizes.length;
+    let size = 0;
+    labels[start] = id;
+    stack.push(start);
+    while (stack.length) {
+      const i = stack.pop();
+      size++;
+      const x = i % TILES_W, y = (i / TILES_W) | 0;
+      const next = [[x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]];
+      for (const [nx, ny] of next) {
+        if (nx < 0 || ny < 0 || nx >= TILES_W || ny >= TILES_H) continue;
+        const j = ny * TILES_W + nx;
+        if (labels[j] !== -1 || world.isSolidTile(layer, ox + nx, oy + ny)) continue;
+        labels[j] = id;
+        stack.push(j);
+      }
+    }
+    sizes.push(size);
+  }
+  return { labels, sizes };
+}
+
+export function createPortalGraph(world, portalSystem, opts = {}) {
+  if (world.infinite && !opts.bounds) throw new Error('createPortalGraph: infinite worlds need opts.bounds');
+  const bounds = opts.bounds ?? WORLD_BOUNDS;
+  const ox = bounds.minCX * CHUNK_TILES;
+  const oy = bounds.minCY * CHUNK_TILES;
+  const TILES_W = (bounds.maxCX - bounds.minCX + 1) * CHUNK_TILES;
+  const TILES_H = (bounds.maxCY - bounds.minCY + 1) * CHUNK_TILES;
+
+  const sites = enumeratePortalSites(portalSystem, bounds);
+  const regionsByLayer = [];
+  for (let layer = 0; layer < LAYER_COUNT; layer++) {
+    regionsByLayer.push(labelRegions(world, layer, ox, oy, TILES_W, TILES_H));
+  }
+
+  const nodeKey = (layer, region) => `${layer}:${region}`;
+
+  function regionAt(layer, wx, wy) {
+    const tx = Math.floor(wx / TILE) - ox, ty = Math.floor(wy / TILE) - oy;
+    if (tx < 0 || ty < 0 || tx >= TILES_W || ty >= TILES_H) return -1;
+    return regionsByLayer[layer].labels[ty * TILES_W + tx];
+  }
+
+  // Region containing a point; a point inside a wall snaps to the nearest floor.
+  function nodeAt(layer, wx, wy) {
+    let region = regionAt(layer, wx, wy);
+    if (region === -1) {
+      const spot = world.findWalkable(layer, wx, wy);
+      if (!spot) return null;
+      region = regionAt(layer, spot.x, spot.y);
+      if (region === -1) return null;
+    }
+    return nodeKey(layer, region);
+  }
+
+  // ===== Edges =====
+  const edges = [];          // { from, to, entrance }
+  const outgoing = new Map(); // node -> edges
+  for (const site of sites) {
+    for (const e of site.entrances) {
+      const from = nodeAt(e.layer, e.x, e.y);
+      const to = nodeAt(e.toLayer, e.toX, e.toY);
+      if (!from || !to) continue;
+      const edge = { from, to, entrance: e };
+      edges.push(edge);
+      if (!outgoing.has(from)) outgoing.set(from, []);
+      outgoing.get(from).push(edge);
+    }
+  }
+
+  // Layer-level connectivity: layerGraph[a] = Set of layers reachable in one hop.
+  const layerGraph = Array.from({ length: LAYER_COUNT }, () => new Set());
+  for (const { entrance: e } of edges) layerGraph[e.layer].add(e.toLayer);
+
+  function reachableFrom(startNodes) {
+    const seen = new Set(startNodes);
+    const queue = [...startNodes];
+    while (queue.length) {
+      const n = queue.shift();
+      for (const edge of outgoing.get(n) || []) {
+        if (seen.has(edge.to)) continue;
+        seen.add(edge.to);
+        queue.push(edge.to);
+      }
+    }
+    return seen;
+  }
+
+  /**
+   * Reachability report from a starting point (usually the spawn).
+   * Tiny pockets (below minTiles) are ignored.
+   * - unreachable: regions that exist but can't be reached from the start
+   * - traps: reachable regions with no way back to the start region
+   */
+  function analyze(startLayer, x, y, { minTiles = 4 } = {}) {
+    const start = nodeAt(startLayer, x, y);
+    if (!start) return null;
+    const reachable = reachableFrom([start]);
+
+    const unreachable = [];
+    const traps = [];
+    for (let layer = 0; layer < LAYER_COUNT; layer++) {
+      const { sizes } = regionsByLayer[layer];
+      for (let region = 0; region < sizes.length; region++) {
+        if (sizes[region] < minTiles) continue;
+        const node = nodeKey(layer, region);
+        const info = { node, layer, layerName: LAYER_NAMES[layer], region, tiles: sizes[region] };
+        if (!reachable.has(node)) unreachable.push(info);
+        else if (!reachableFrom([node]).has(start)) traps.push(info);
+      }
+    }
+
+    return {
+      start,
+      reachableCount: reachable.size,
+      unreachable,
+      traps,
+      layerGraph: layerGraph.map((s) => [...s].sort()),
+    };
+  }
+
+  /**
+   * Cheapest sequence of portals from (fromLayer, x, y) to any walkable
+   * region of toLayer, by straight-line walking distance between portals.
+   * Returns [] when already there, null when there is no route.
+   */
+  function findRoute(fromLayer, x, y, toLayer) {
+    const start = nodeAt(fromLayer, x, y);
+    if (!start) return null;
+    if (fromLayer === toLayer) return [];
+
+    // Dijkstra over "standing at a point inside a node" states.
+    const states = [{ node: start, x, y, cost: 0, via: null, prev: null }];
+    const done = new Set();
+    const bestArrival = new Map(); // entrance id -> cost
+
+    while (states.length) {
+      let bi = 0;
+      for (let i = 1; i < states.length; i++) if (states[i].cost < states[bi].cost) bi = i;
+      const cur = states.splice(bi, 1)[0];
+      const stateKey = cur.via ? cur.via.id : 'start';
+      if (done.has(stateKey)) continue;
+      done.add(stateKey);
+
+      if (cur.via && cur.via.toLayer === toLayer) {
+        const route = [];
+        for (let s = cur; s && s.via; s = s.prev) route.unshift(s.via);
+        return route;
+      }
+
+      for (const edge of outgoing.get(cur.node) || []) {
+        const e = edge.entrance;
+        if (done.has(e.id)) continue;
+        const cost = cur.cost + Math.hypot(e.x - cur.x, e.y - cur.y);
+        if (cost >= (bestArrival.get(e.id) ?? Infinity)) continue;
+        bestArrival.set(e.id, cost);
+        states.push({ node: edge.to, x: e.toX, y: e.toY, cost, via: e, prev: cur });
+      }
+    }
+    return null;
+  }
+
+  return {
+    bounds,
+    sites,
+    edges,
+    layerGraph,
+    nodeAt,
+    analyze,
+    findRoute,
+  };
+}
@@ -1,25 +1,66 @@
 import {
   TILE, CHUNK_PX,
-  LAYER0, LAYER1, LAYER2,
-  DIRS, PORTAL, PORTAL_MODE,
+  WORLD_CHUNKS_W, WORLD_CHUNKS_H,
+  LAYER_LINKS, SKIP_LINKS, PORTAL_LINKS,
+  DIRS, PORTAL, PORTAL_MODE, PORTAL_VARIETY,
+  DEFAULT_SEED,
 } from './config.js';
-import { hash32, rand01 } from './rng.js';
+import { lerp } from './math.js';
+import { hash32, rand01, mixSeed } from './rng.js';
 
 // Portal groups stay aligned between layers.
-// even-even chunks can spawn portal entrances.
+// even-even chunks hold a primary portal site; the group indexes PORTAL_LINKS,
+// cycling through the neighbouring pairs (with 3 layers: 0 => 0<->1, 1 => 1<->2).
 function portalGroupAt(cx, cy) {
   if ((cx & 1) || (cy & 1)) return null;
-  const parity = ((cx >> 1) + (cy >> 1)) & 1;
-  return parity; // 0 => 0<->1, 1 => 1<->2
+  if (!LAYER_LINKS.length) return null;
+  const n = LAYER_LINKS.length;
+  return ((((cx >> 1) + (cy >> 1)) % n) + n) % n;
 }
 
-function pickDir(cx, cy, group) {
-  const idx = ((cx * 131) ^ (cy * 197) ^ (group * 911)) & 3;
+// Group of site `slot` in a chunk (slot 0 = primary, 1.. = extras); a few
+// sites link a skip-layer pair instead.
+function siteGroup(cx, cy, slot, seed) {
+  const base = slot === 0
+    ? portalGroupAt(cx, cy)
+    : hash32(cx, cy, mixSeed(3301 + slot, seed)) % LAYER_LINKS.length;
+  if (base === null) return null;
+  if (SKIP_LINKS.length && rand01(hash32(cx, cy, mixSeed(5107 + slot * 17, seed))) < PORTAL_VARIETY.skipChance) {
+    return LAYER_LINKS.length + hash32(cx, cy, mixSeed(5113 + slot, seed)) % SKIP_LINKS.length;
+  }
+  return base;
+}
+
+function pickDir(cx, cy, group, seed) {
+  // Seed 0 keeps the original arithmetic layout.
+  const jitter = seed ? hash32(cx, cy, seed) : 0;
+  const idx = ((cx * 131) ^ (cy * 197) ^ (group * 911) ^ jitter) & 3;
   return { idx, dir: DIRS[idx] };
 }
 
-function portalSharedDef(cx, cy, group) {
-  const { idx, dir } = pickDir(cx, cy, group);
+// Mouth and depth for a site.
+function siteSize(cx, cy, slot, seed) {
+  const v = PORTAL_VARIETY;
+  const s = lerp(v.sizeMin, v.sizeMax, rand01(hash32(cx, cy, mixSeed(8101 + slot, seed))));
+  const d = lerp(v.depthMin, v.depthMax, rand01(hash32(cx, cy, mixSeed(8111 + slot, seed))));
+  return { mouthW: PORTAL.mouthW * s, mouthH: PORTAL.mouthH * s, depth: PORTAL.depth * d };
+}
+
+function siteDef(idBase, cx, cy, slot, group, x, y, idx, size) {
+  return {
+    idBase,
+    cx, cy, slot, group,
+    x, y,
+    dirIdx: idx,
+    dir: DIRS[idx],
+    ...size,
+  };
+}
+
+// Primary site geometry: the mouth sits PORTAL.pad inside the chunk edge it
+// faces.
+function portalSharedDef(cx, cy, group, seed, idx = pickDir(cx, cy, group, seed).idx, size = siteSize(cx, cy, 0, seed)) {
+  const dir = DIRS[idx];
 
   const pad = PORTAL.pad;
   let ex = cx * CHUNK_PX + CHUNK_PX / 2;
@@ -30,85 +71,290 @@ function portalSharedDef(cx, cy, group) {
   if (dir.name === 'Right') ex = cx * CHUNK_PX + (CHUNK_PX - pad);
   if (dir.name === 'Left')  ex = cx * CHUNK_PX + pad;
 
-  return {
-    idBase: `g${group}:${cx}:${cy}`,
-    cx, cy, group,
-    x: ex, y: ey,
-    dirIdx: idx,
-    dir,
-    mouthW: PORTAL.mouthW,
-    mouthH: PORTAL.mouthH,
-    depth:  PORTAL.depth,
-  };
+  return siteDef(`g${group}:${cx}:${cy}`, cx, cy, 0, group, ex, ey, idx, size);
 }
 
 function flipDirIdx(idx) {
   return (idx + 2) & 3;
 }
 
-// Decide portal "mode" for this portal site.
-function portalModeForSite(cx, cy, group) {
-  const s = hash32(cx, cy, 9001 + group * 101);
+// Decide portal "mode" for this portal site (slot 0 keeps the original salts).
+function portalModeForSite(cx, cy, group, seed, slot = 0) {
+  const s = hash32(cx, cy, mixSeed(9001 + group * 101 + slot * 7919, seed));
   const r = rand01(s);
   return (r < PORTAL_MODE.oneWayChance) ? 'oneway' : 'twoway';
 }
 
 // If one-way, choose which side is the source (deterministic).
-function oneWaySourceLayer(cx, cy, group) {
-  const bit = (hash32(cx, cy, 4242 + group * 9) >>> 0) & 1;
-  if (group === 0) return bit ? LAYER0 : LAYER1; // 0<->1
-  return bit ? LAYER1 : LAYER2; // 1<->2
+function oneWaySourceLayer(cx, cy, group, seed, slot = 0) {
+  const bit = (hash32(cx, cy, mixSeed(4242 + group * 9 + slot * 7919, seed)) >>> 0) & 1;
+  const [a, b] = PORTAL_LINKS[group];
+  return bit ? a : b;
 }
 
-export function createPortalSystem() {
-  function entrancesForChunk(layer, cx, cy) {
-    const group = portalGroupAt(cx, cy);
-    if (group === null) return [];
+// Teleport pairing. Sites (even-even chunks) are grouped in blocks of
+// B x B sites; site i of a block is paired with i ^ mask. XOR with a fixed
+// non-zero mask is an involution, so both ends always agree on the pair.
+// Returns the partner site's chunk, or null when the pair is a plain site.
+function teleportPartner(cx, cy, seed, infinite) {
+  const B = PORTAL_MODE.teleportBlock;
+  const sx = cx >> 1, sy = cy >> 1;
+  const bx = Math.floor(sx / B), by = Math.floor(sy / B);
+  const i = (sy - by * B) * B + (sx - bx * B);
+  const mask = 1 + (hash32(bx, by, mixSeed(7331, seed)) % (B * B - 1));
+  const j = i ^ mask;
 
-    const validPair =
-      (group === 0 && (layer === LAYER0 || layer === LAYER1)) ||
-      (group === 1 && (layer === LAYER1 || layer === LAYER2));
-    if (!validPair) return [];
+  const pairSalt = mixSeed(7349 + Math.min(i, j), seed);
+  if (rand01(hash32(bx, by, pairSalt)) >= PORTAL_MODE.teleportChance) return null;
 
-    const shared = portalSharedDef(cx, cy, group);
-    const mode = portalModeForSite(cx, cy, group);
+  const px = (bx * B + (j % B)) * 2;
+  const py = (by * B + Math.floor(j / B)) * 2;
+  if (!infinite && (px >= WORLD_CHUNKS_W || py >= WORLD_CHUNKS_H || px < 0 || py < 0)) return null;
+  return { cx: px, cy: py, leader: i < j };
+}
 
-    const a = (group === 0) ? LAYER0 : LAYER1;
-    const b = (group === 0) ? LAYER1 : LAYER2;
+// Site geometry for a teleport end. The two ends face opposite ways (like the
+// sides of a stacked two-way portal) and share the leader's size, so walking
+// on in the same direction after arriving leads away from the exit mouth.
+function teleportSiteDef(cx, cy, group, partner, seed) {
+  if (partner.leader) return portalSharedDef(cx, cy, group, seed);
+  const leaderGroup = siteGroup(partner.cx, partner.cy, 0, seed);
+  const idx = flipDirIdx(pickDir(partner.cx, partner.cy, leaderGroup, seed).idx);
+  return portalSharedDef(cx, cy, group, seed, idx, siteSize(partner.cx, partner.cy, 0, seed));
+}
+
+// Which layer of its pair a teleport end sits on.
+function teleportLayer(cx, cy, group, seed) {
+  const bit = hash32(cx, cy, mixSeed(6121 + group * 13, seed)) & 1;
+  return PORTAL_LINKS[group][bit];
+}
+
+// Ground a site needs to itself, as a world AABB: the mouth, the run-up in
+// front of it and the walk-in behind it. Two-way stacked sites are entered
+// from the other side on the far layer, so they need both; so do one-way
+// ones, which turn two-way when they arrive in a walled-in pocket.
+function siteFootprint(s) {
+  const back = s.mouthH / 2 + TILE, half = s.mouthW / 2 + TILE / 2;
+  const { dx, dy } = s.dir;
+  const reach = Math.max(back, s.depth);
+  const bothWays = !s.partner;
+  const a0 = bothWays ? -reach : -back, a1 = bothWays ? reach : s.depth;
+  const xs = dx ? [s.x + dx * a0, s.x + dx * a1] : [s.x - half, s.x + half];
+  const ys = dy ? [s.y + dy * a0, s.y + dy * a1] : [s.y - half, s.y + half];
+  return { x0: Math.min(...xs), y0: Math.min(...ys), x1: Math.max(...xs), y1: Math.max(...ys) };
+}
+
+function overlaps(a, b) {
+  return a.x0 < b.x1 && b.x0 < a.x1 && a.y0 < b.y1 && b.y0 < a.y1;
+}
+
+const SITE_CACHE_MAX = 4096;
+const POCKET_CACHE_MAX = 4096;
+
+/**
+ * Portal sites and their entrances.
+ * - Primary sites sit on even-even chunks; any chunk may add up to
+ *   PORTAL_VARIETY.extraMax extra sites that overlap no other site
+ * - Mouth size and depth vary per site; a few sites link non-adjacent layers
+ * Entrances carry toLayer plus the arrival point (toX, toY):
+ * - kind 'stacked': the same x/y on the linked layer (toX === x)
+ * - kind 'teleport': a different site, possibly far away and on any layer,
+ *   facing the opposite way (primary sites only)
+ * opts.infinite: teleport partners may lie anywhere (bounded worlds skip
+ * partners outside the world).
+ * setTerrain({ isSolidTile }) (done by the world): one-way sites arriving in
+ * a walled-in pocket become two-way (PORTAL_MODE.pocketTiles).
+ */
+export function createPortalSystem(opts = {}) {
+  const seed = (opts.seed ?? DEFAULT_SEED) >>> 0;
+  const infinite = !!opts.infinite;
+  const siteCache = new Map(); // "cx:cy" -> sites
+  const pocketCache = new Map(); // "idBase:layer" -> arrival side walled in
+  let terrain = null;
+
+  function setTerrain(t) {
+    terrain = t;
+    pocketCache.clear();
+  }
+
+  // Whether the walkable area around (x, y) on `layer` stays under
+  // PORTAL_MODE.pocketTiles tiles (bounded flood fill).
+  function walledIn(layer, x, y, key) {
+    let enclosed = pocketCache.get(key);
+    if (enclosed !== undefined) return enclosed;
+    if (pocketCache.size >= POCKET_CACHE_MAX) pocketCache.delete(pocketCache.keys().next().value);
+
+    const limit = PORTAL_MODE.pocketTiles;
+    const start = [Math.floor(x / TILE), Math.floor(y / TILE)];
+    const seen = new Set([start.join(',')]);
+    const stack = terrain.isSolidTile(layer, start[0], start[1]) ? [] : [start];
+    let count = 0;
+    while (stack.length && count < limit) {
+      const [tx, ty] = stack.pop();
+      count++;
+      for (const [nx, ny] of [[tx + 1, ty], [tx - 1, ty], [tx, ty + 1], [tx, ty - 1]]) {
+        const k = `${nx},${ny}`;
+        if (seen.has(k) || terrain.isSolidTile(layer, nx, ny)) continue;
+        seen.add(k);
+        stack.push([nx, ny]);
+      }
+    }
+    enclosed = count < limit;
+    pocketCache.set(key, enclosed);
+    return enclosed;
+  }
+
+  // The primary site of a chunk (null off even-even chunks), with its
+  // teleport partner if it has one.
+  function primarySite(cx, cy) {
+    const group = siteGroup(cx, cy, 0, seed);
+    if (group === null) return null;
+    const partner = teleportPartner(cx, cy, seed, infinite);
+    const def = partner ? teleportSiteDef(cx, cy, group, partner, seed) : portalSharedDef(cx, cy, group, seed);
+    return { ...def, mode: partner ? 'twoway' : portalModeForSite(cx, cy, group, seed), partner };
+  }
+
+  // Extra sites are kept inside their chunk, so they only need checking
+  // against each other and the primary sites around them.
+  function extraSites(cx, cy, taken) {
+    const v = PORTAL_VARIETY;
+    const out = [];
+    for (let slot = 1; slot <= v.extraMax; slot++) {
+      if (rand01(hash32(cx, cy, mixSeed(3319 + slot, seed))) >= v.extraChance) continue;
+      const group = siteGroup(cx, cy, slot, seed);
+      const size = siteSize(cx, cy, slot, seed);
+      const mode = portalModeForSite(cx, cy, group, seed, slot);
+      for (let t = 0; t < v.extraTries; t++) {
+        const h = hash32(cx, cy, mixSeed(3331 + slot * 64 + t, seed));
+        const idx = h & 3;
+        // Footprint around the origin, then a position that keeps it in the chunk.
+        const local = siteFootprint({ x: 0, y: 0, dir: DIRS[idx], mode, ...size });
+        const x = cx * CHUNK_PX - local.x0 + rand01(h) * (CHUNK_PX - (local.x1 - local.x0));
+        const y = cy * CHUNK_PX - local.y0 + rand01(h ^ 0x5bd1e995) * (CHUNK_PX - (local.y1 - local.y0));
+        const box = { x0: x + local.x0, y0: y + local.y0, x1: x + local.x1, y1: y + local.y1 };
+        if (box.x1 > (cx + 1) * CHUNK_PX || box.y1 > (cy + 1) * CHUNK_PX) continue; // doesn't fit
+        if (taken.some((b) => overlaps(b, box))) continue;
+        const site = siteDef(`g${group}:${cx}:${cy}:s${slot}`, cx, cy, slot, group, x, y, idx, size);
+        taken.push(box);
+        out.push({ ...site, mode, partner: null });
+        break;
+      }
+    }
+    return out;
+  }
+
+  function sitesForChunk(cx, cy) {
+    const key = `${cx}:${cy}`;
+    let sites = siteCache.get(key);
+    if (sites) return sites;
+    if (siteCache.size >= SITE_CACHE_MAX) siteCache.delete(siteCache.keys().next().value);
+
+    const primary = primarySite(cx, cy);
+    const taken = [];
+    for (let oy = -1; oy <= 1; oy++) for (let ox = -1; ox <= 1; ox++) {
+      const p = (ox || oy) ? primarySite(cx + ox, cy + oy) : primary;
+      if (p) taken.push(siteFootprint(p));
+    }
+    sites = [...(primary ? [primary] : []), ...extraSites(cx, cy, taken)];
+    siteCache.set(key, sites);
+    return sites;
+  }
+
+  function teleportEntrance(layer, site) {
+    const { cx, cy, group, partner } = site;
+    if (layer !== teleportLayer(cx, cy, group, seed)) return null;
+
+    const exit = primarySite(partner.cx, partner.cy);
+    const toLayer = teleportLayer(exit.cx, exit.cy, exit.group, seed);
+
+    return {
+      ...site,
+      id: `${site.idBase}:teleport:${layer}->${exit.idBase}:${toLayer}`,
+      kind: 'teleport',
+      mode: 'twoway',
+      layer,
+      toLayer,
+      toX: exit.x,
+      toY: exit.y,
+      toIdBase: exit.idBase,
+    };
+  }
+
+  function stackedEntrance(layer, site) {
+    const { cx, cy, group, slot } = site;
+    const [a, b] = PORTAL_LINKS[group];
+    const src = site.mode === 'oneway' ? oneWaySourceLayer(cx, cy, group, seed, slot) : null;
+    const dst = (src === a) ? b : a;
+    // One-way only when the arrival side leads somewhere; a one-way drop into
+    // a pocket with no way out would strand the player for good.
+    const mode = src !== null && terrain && walledIn(dst, site.x, site.y, `${site.idBase}:${dst}`)
+      ? 'twoway'
+      : site.mode;
 
     if (mode === 'oneway') {
-      const src = oneWaySourceLayer(cx, cy, group);
-      const dst = (src === a) ? b : a;
-      if (layer !== src) return [];
+      if (layer !== src) return null;
 
-      return [{
-        ...shared,
-        id: `${shared.idBase}:oneway:${src}->${dst}`,
+      return {
+        ...site,
+        id: `${site.idBase}:oneway:${src}->${dst}`,
+        kind: 'stacked',
         mode,
         layer: src,
         toLayer: dst,
+        toX: site.x,
+        toY: site.y,
         // dir kept as-is
-      }];
+      };
     }
 
     // twoway: emit entrance on both layers, with opposite-facing arrow on the far side
     const toLayer = (layer === a) ? b : a;
-    const dirIdx = (layer === b) ? flipDirIdx(shared.dirIdx) : shared.dirIdx;
-    const dir = DIRS[dirIdx];
+    const dirIdx = (layer === b) ? flipDirIdx(site.dirIdx) : site.dirIdx;
 
-    return [{
-      ...shared,
-      id: `${shared.idBase}:twoway:${layer}<->${toLayer}`,
+    return {
+      ...site,
+      id: `${site.idBase}:twoway:${layer}<->${toLayer}`,
+      kind: 'stacked',
       mode,
       layer,
       toLayer,
+      toX: site.x,
+      toY: site.y,
       dirIdx,
-      dir,
-    }];
+      dir: DIRS[dirIdx],
+    };
+  }
+
+  function entrancesForChunk(layer, cx, cy) {
+    const out = [];
+    for (const site of sitesForChunk(cx, cy)) {
+      if (!PORTAL_LINKS[site.group].includes(layer)) continue;
+      const e = site.partner ? teleportEntrance(layer, site) : stackedEntrance(layer, site);
+      if (e) {
+        delete e.partner;
+        out.push(e);
+      }
+    }
+    return out;
+  }
+
+  // Ground kept walkable around a portal site, on both layers of the pair
+  // (including the arrival side of one-way portals and teleport exits).
+  function clearingsForChunk(layer, cx, cy) {
+    const out = [];
+    for (const s of sitesForChunk(cx, cy)) {
+      if (!PORTAL_LINKS[s.group].includes(layer)) continue;
+      out.push({ id: s.idBase, x: s.x, y: s.y, r: Math.hypot(s.mouthW / 2, s.depth) + TILE });
+    }
+    return out;
   }
 
   return {
     entrancesForChunk,
+    clearingsForChunk,
+    setTerrain,
+    get seed() { return seed; },
+    get infinite() { return infinite; },
   };
 }
 
@@ -121,6 +367,16 @@ export function pointInOrientedMouth(px, py, e) {
   return (Math.abs(lx) <= e.mouthW / 2) && (Math.abs(ly) <= e.mouthH / 2);
 }
 
+// Signed distance along the entrance direction (local +Y, "into" the mouth).
+export function depthInto(e, px, py) {
+  return (px - e.x) * e.dir.dx + (py - e.y) * e.dir.dy;
+}
+
+// Distance from the mouth's centre line, across the mouth.
+export function offsetAcross(e, px, py) {
+  return Math.abs((px - e.x) * e.dir.dy - (py - e.y) * e.dir.dx);
+}
+
 export function movingInto(e, mvx, mvy) {
   const mLen = Math.hypot(mvx, mvy);
   if (mLen < 0.01) return false;
@@ -141,3 +397,17 @@ export function portalStartRectScreen(e, camX, camY) {
 
   return { x: sx - aw/2, y: sy - ah/2, w: aw, h: ah, r: 12 };
 }
+
+// Camera for looking through a portal: the arrival point shows up where the
+// mouth is (stacked portals: the main camera itself).
+export function portalCamera(e, camX, camY) {
+  return { x: camX + (e.toX - e.x), y: camY + (e.toY - e.y) };
+}
+
+// Move a body { x, y } through a teleport, keeping its offset from the mouth
+// (and its velocity): the exit faces the other way, so it comes out moving
+// away from the exit mouth.
+export function teleportBody(e, body) {
+  body.x += e.toX - e.x;
+  body.y += e.toY - e.y;
+}
@@ -0,0 +1,57 @@
+import { PREFETCH } from './config.js';
+
+/**
+ * Chunk prefetcher (no DOM).
+ * - Far side of portals the player is close to: the destination layer around
+ *   the arrival point, so a layer switch or teleport doesn't land on
+ *   placeholders
+ * - Direction of travel: a view-sized area around where the velocity will
+ *   carry the player in PREFETCH.lookAhead seconds
+ * - A small per-frame budget; with workers the requests are low priority, so
+ *   on-screen chunks always go first
+ */
+export function createPrefetcher(world, opts = {}) {
+  const cfg = { ...PREFETCH, ...opts };
+
+  // Chunks covering a view centred on (x, y), nearest to the centre first.
+  function chunksAround(x, y, viewW, viewH) {
+    const { minCX, maxCX, minCY, maxCY } = world.chunkRangeForRect(
+      x - viewW / 2, y - viewH / 2, { x: 0, y: 0, w: viewW, h: viewH });
+    const ccx = (minCX + maxCX) / 2, ccy = (minCY + maxCY) / 2;
+    const out = [];
+    for (let cy = minCY; cy <= maxCY; cy++) {
+      for (let cx = minCX; cx <= maxCX; cx++) out.push([cx, cy]);
+    }
+    return out.sort((a, b) =>
+      Math.hypot(a[0] - ccx, a[1] - ccy) - Math.hypot(b[0] - ccx, b[1] - ccy));
+  }
+
+  // Returns the number of chunks started this frame.
+  function update(layer, player, entrances, viewW, viewH) {
+    const budget = world.usesWorkers ? cfg.perFrameAsync : cfg.perFrameSync;
+    let left = budget;
+
+    function warm(l, x, y) {
+      for (const [cx, cy] of chunksAround(x, y, viewW, viewH)) {
+        if (left <= 0) return;
+        if (world.prefetchChunk(l, cx, cy)) left--;
+      }
+    }
+
+    // Portals first: a layer switch swaps the whole screen at once.
+    const near = entrances
+      .map((e) => ({ e, d: Math.hypot(e.x - player.x, e.y - player.y) }))
+      .filter(({ d }) => d <= cfg.portalRange)
+      .sort((a, b) => a.d - b.d);
+    for (const { e } of near) warm(e.toLayer, e.toX, e.toY);
+
+    const speed = Math.hypot(player.vx, player.vy);
+    if (speed >= cfg.minSpeed) {
+      warm(layer, player.x + player.vx * cfg.lookAhead, player.y + player.vy * cfg.lookAhead);
+    }
+
+    return budget - left;
+  }
+
+  return { update };
+}
@@ -1,33 +1,34 @@
-import { LAYER0, LAYER1, PORTAL, WORLD_CHUNKS_W, WORLD_CHUNKS_H } from './config.js';
+import { LAYERS, PORTAL, CHUNK_PX } from './config.js';
 import { roundRectSubPath, clamp } from './math.js';
 import { portalStartRectScreen } from './portals.js';
 
+// Draws in view space: world px minus the camera corner. With a zoomed
+// camera the caller scales ctx and passes the view size (world px) to
+// setViewSize(), so culling and full-view rects follow the zoom.
 export function createRenderer(ctx, world) {
+  let viewW = innerWidth, viewH = innerHeight;
+
+  function setViewSize(w, h) {
+    viewW = w;
+    viewH = h;
+  }
+
   function clear(layer, w, h) {
-    ctx.fillStyle = (layer === LAYER0) ? '#0b2417' : (layer === LAYER1 ? '#070912' : '#0b0509');
+    ctx.fillStyle = (LAYERS[layer] || LAYERS[0]).background;
     ctx.fillRect(0, 0, w, h);
   }
 
   function renderChunks(layer, now, camX, camY, rect /* screen rect or null */, wantDebug) {
-    const w = innerWidth, h = innerHeight;
+    const w = viewW, h = viewH;
 
-    let minCX, maxCX, minCY, maxCY;
-    if (rect) {
-      ({ minCX, maxCX, minCY, maxCY } = world.chunkRangeForRect(camX, camY, rect));
-    } else {
-      // full screen + safety margin of one chunk
-      const CHUNK_PX = (world.getChunk(layer, 0, 0, now).img.width);
-      minCX = Math.max(0, Math.floor((camX - CHUNK_PX) / CHUNK_PX));
-      maxCX = Math.min(WORLD_CHUNKS_W - 1, Math.floor((camX + w + CHUNK_PX) / CHUNK_PX));
-      minCY = Math.max(0, Math.floor((camY - CHUNK_PX) / CHUNK_PX));
-      maxCY = Math.min(WORLD_CHUNKS_H - 1, Math.floor((camY + h + CHUNK_PX) / CHUNK_PX));
-    }
+    // null rect => full view (chunkRangeForRect adds a one-chunk margin)
+    const { minCX, maxCX, minCY, maxCY } = world.chunkRangeForRect(camX, camY, rect || { x: 0, y: 0, w, h });
 
     for (let cy = minCY; cy <= maxCY; cy++) {
       for (let cx = minCX; cx <= maxCX; cx++) {
-        const ch = world.getChunk(layer, cx, cy, now);
-        const ox = cx * ch.img.width - camX;
-        const oy = cy * ch.img.height - camY;
+        const ch = world.getChunk(layer, cx, cy);
+        const ox = cx * CHUNK_PX - camX;
+        const oy = cy * CHUNK_PX - camY;
         ctx.drawImage(ch.img, ox, oy);
 
         if (wantDebug) {
@@ -35,7 +36,7 @@ export function createRenderer(ctx, world) {
           ctx.globalAlpha = 0.25;
           ctx.strokeStyle = '#fff';
           ctx.lineWidth = 2;
-          ctx.strokeRect(ox, oy, ch.img.width, ch.img.height);
+          ctx.strokeRect(ox, oy, CHUNK_PX, CHUNK_PX);
           ctx.globalAlpha = 0.95;
           ctx.fillStyle = '#fff';
           ctx.font = '12px ui-sans-serif,system-ui';
@@ -46,7 +47,9 @@ export function createRenderer(ctx, world) {
     }
   }
 
-  function drawPortalPreview(e, now, camX, camY, portalCamX, portalCamY) {
+  // overlay(layer, camX, camY), if given, draws on top of the far side inside
+  // the clip (e.g. that layer's lighting).
+  function drawPortalPreview(e, now, camX, camY, portalCamX, portalCamY, overlay = null) {
     const sx = e.x - camX;
     const sy = e.y - camY;
     const aabb = portalStartRectScreen(e, camX, camY);
@@ -66,24 +69,15 @@ export function createRenderer(ctx, world) {
     ctx.globalAlpha = PORTAL.previewAlpha;
     // Only draw chunks that overlap the portal's screen AABB.
     renderChunks(e.toLayer, now, portalCamX, portalCamY, aabb, false);
+    if (overlay) overlay(e.toLayer, portalCamX, portalCamY);
     ctx.globalAlpha = 1;
 
     ctx.restore();
   }
 
-  function drawArrow(e, camX, camY) {
-    const sx = e.x - camX;
-    const sy = e.y - camY;
-
-    ctx.save();
-    ctx.translate(sx, sy);
-    ctx.rotate(e.dir.ang);
-
-    const arrowDist = e.mouthH / 2 + 22;
-    ctx.translate(0, -arrowDist);
-
+  function drawChevron(outer, inner) {
     ctx.globalAlpha = 0.95;
-    ctx.fillStyle = '#ffffff';
+    ctx.fillStyle = outer;
     ctx.beginPath();
     ctx.moveTo(0, 16);
     ctx.lineTo(-11, -2);
@@ -92,14 +86,64 @@ export function createRenderer(ctx, world) {
     ctx.fill();
 
     ctx.globalAlpha = 0.9;
-    ctx.fillStyle = '#111827';
+    ctx.fillStyle = inner;
     ctx.beginPath();
     ctx.moveTo(0, 12);
     ctx.lineTo(-7, 0);
     ctx.lineTo(7, 0);
     ctx.closePath();
     ctx.fill();
+  }
 
+  // Two-way: a white arrow. One-way: a warning-coloured double arrow and a
+  // dashed frame, since there is no coming back through it.
+  function drawArrow(e, camX, camY) {
+    const sx = e.x - camX;
+    const sy = e.y - camY;
+    const oneWay = e.mode === 'oneway';
+
+    ctx.save();
+    ctx.translate(sx, sy);
+    ctx.rotate(e.dir.ang);
+
+    if (oneWay) {
+      ctx.save();
+      ctx.strokeStyle = PORTAL.oneWayColor;
+      ctx.lineWidth = 3;
+      ctx.setLineDash([8, 6]);
+      ctx.globalAlpha = 0.85;
+      ctx.beginPath();
+      roundRectSubPath(ctx, -e.mouthW/2 - 3, -e.mouthH/2 - 3, e.mouthW + 6, e.mouthH + 6, 14);
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    const arrowDist = e.mouthH / 2 + 22;
+    ctx.translate(0, -arrowDist);
+
+    if (oneWay) {
+      ctx.translate(0, -10);
+      drawChevron(PORTAL.oneWayColor, '#7c2d12');
+      ctx.translate(0, 10);
+      drawChevron(PORTAL.oneWayColor, '#7c2d12');
+    } else {
+      drawChevron('#ffffff', '#111827');
+    }
+
+    ctx.restore();
+  }
+
+  function drawFootsteps(list, layer, now, life, camX, camY) {
+    ctx.save();
+    for (const f of list) {
+      if (f.layer !== layer) continue;
+      const t = (now - f.born) / (life * 1000);
+      if (t >= 1) continue;
+      ctx.globalAlpha = 0.55 * (1 - t);
+      ctx.fillStyle = f.color;
+      const s = 3 + t * 3;
+      ctx.fillRect(Math.round(f.x - camX - s / 2), Math.round(f.y - camY - s / 2), s, s);
+    }
     ctx.restore();
   }
 
@@ -121,8 +165,8 @@ export function createRenderer(ctx, world) {
     ctx.restore();
   }
 
-  function drawTransition(e, now, camX, camY, portalCamX, portalCamY, progress, easeFn) {
-    const w = innerWidth, h = innerHeight;
+  function drawTransition(e, now, camX, camY, portalCamX, portalCamY, progress, easeFn, overlay = null) {
+    const w = viewW, h = viewH;
     const p = clamp(progress, 0, 1);
     const t = easeFn(p);
 
@@ -141,16 +185,19 @@ export function createRenderer(ctx, world) {
     roundRectSubPath(ctx, rect.x, rect.y, rect.w, rect.h, rect.r);
     ctx.clip();
     renderChunks(e.toLayer, now, portalCamX, portalCamY, rect, false);
+    if (overlay) overlay(e.toLayer, portalCamX, portalCamY);
     ctx.restore();
 
     featherRectEdge(rect, 6, 18, 0.18);
   }
 
   return {
+    setViewSize,
     clear,
     renderChunks,
     drawPortalPreview,
     drawArrow,
+    drawFootsteps,
     drawTransition,
   };
 }
@@ -0,0 +1,142 @@
+import { LAYER_COUNT, SIM_DT, MAX_STEPS_PER_FRAME } from './config.js';
+import { createSimulation } from './simulation.js';
+
+/**
+ * Input recording and deterministic replay.
+ * A recording is plain JSON:
+ *   { version, seed, start: <sim state>, frames: [[moveX, moveY, sprint, dt]],
+ *     layerChanges: [{ frame, from, to }], end: <sim state> }
+ * Because the simulation is fixed-step and DOM-free, feeding the same frames
+ * into a fresh simulation reproduces the exact trajectory.
+ */
+
+export const REPLAY_VERSION = 3; // 2: portal transitions follow movement, 3: portal variety
+
+// Fields compared between the recorded and the replayed end state.
+const CHECK_FIELDS = ['layer', 'x', 'y', 'vx', 'vy', 'cooldown'];
+const EPS = 1e-6;
+
+export function createRecorder(sim) {
+  let rec = null;
+
+  function start() {
+    rec = {
+      version: REPLAY_VERSION,
+      seed: sim.seed,
+      start: sim.getState(),
+      frames: [],
+      layerChanges: [],
+      end: null,
+    };
+  }
+
+  function record(input, dt, events = []) {
+    if (!rec) return;
+    rec.frames.push([input.moveX || 0, input.moveY || 0, input.sprint ? 1 : 0, dt]);
+    for (const ev of events) {
+      if (ev.type === 'layerChanged') rec.layerChanges.push({ frame: rec.frames.length - 1, from: ev.from, to: ev.to });
+    }
+  }
+
+  function stop() {
+    if (!rec) return null;
+    rec.end = sim.getState();
+    const out = rec;
+    rec = null;
+    return out;
+  }
+
+  return {
+    start,
+    record,
+    stop,
+    get recording() { return !!rec; },
+    get frameCount() { return rec ? rec.frames.length : 0; },
+  };
+}
+
+export function frameInput(frame) {
+  return { moveX: frame[0], moveY: frame[1], sprint: frame[2] === 1 };
+}
+
+// Compare a replayed run with what was recorded. Returns { ok, mismatches }.
+export function compareReplay(rec, endState, layerChanges) {
+  const mismatches = [];
+  for (const k of CHECK_FIELDS) {
+    const a = rec.end[k], b = endState[k];
+    const same = (typeof a === 'number' && typeof b === 'number') ? Math.abs(a - b) <= EPS : a === b;
+    if (!same) mismatches.push({ field: k, expected: a, actual: b });
+  }
+  if (!!rec.end.transition !== !!endState.transition) {
+    mismatches.push({ field: 'transition', expected: rec.end.transition, actual: endState.transition });
+  }
+  const exp = JSON.stringify(rec.layerChanges);
+  const act = JSON.stringify(layerChanges);
+  if (exp !== act) mismatches.push({ field: 'layerChanges', expected: rec.layerChanges, actual: layerChanges });
+  return { ok: mismatches.length === 0, mismatches };
+}
+
+// A recorded start/end state: a position on an existing layer.
+function validState(s) {
+  return !!s && typeof s === 'object' && Number.isFinite(s.x) && Number.isFinite(s.y)
+    && Number.isInteger(s.layer) && s.layer >= 0 && s.layer < LAYER_COUNT;
+}
+
+// [moveX, moveY, sprint, dt], dt no longer than one rendered frame may step.
+function validFrame(f) {
+  return Array.isArray(f) && f.length >= 4
+    && Number.isFinite(f[0]) && Number.isFinite(f[1]) && Number.isFinite(f[2])
+    && Number.isFinite(f[3]) && f[3] > 0 && f[3] <= MAX_STEPS_PER_FRAME * SIM_DT;
+}
+
+// Throws with a readable message when the recording can't be replayed at
+// all (checked before any world is loaded for it).
+export function validateReplay(rec) {
+  if (!rec || !Array.isArray(rec.frames)) throw new Error('not a replay');
+  if (rec.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${rec.version}`);
+  if (!Number.isInteger(rec.seed) || rec.seed < 0 || rec.seed > 0xffffffff) throw new Error(`bad seed ${rec.seed}`);
+  if (!validState(rec.start)) throw new Error('replay has no start state');
+  if (!validState(rec.end)) throw new Error('replay has no end state');
+  if (!rec.frames.every(validFrame)) throw new Error('bad replay frames');
+  return rec;
+}
+
+/**
+ * Step-by-step replay driver. next() advances one recorded frame and returns
+ * that frame's events; when done, result() checks the final state.
+ */
+export function createReplayer(rec, sim) {
+  validateReplay(rec);
+  if (sim.seed !== rec.seed) throw new Error(`Replay needs seed ${rec.seed}, simulation has ${sim.seed}`);
+  if (!!sim.world.infinite !== !!rec.start.infinite) throw new Error('Replay was recorded in a different world mode');
+
+  sim.setState(rec.start);
+  let i = 0;
+  const layerChanges = [];
+
+  function next() {
+    const frame = rec.frames[i];
+    const events = sim.step(frameInput(frame), frame[3]);
+    for (const ev of events) {
+      if (ev.type === 'layerChanged') layerChanges.push({ frame: i, from: ev.from, to: ev.to });
+    }
+    i++;
+    return events;
+  }
+
+  return {
+    next,
+    get done() { return i >= rec.frames.length; },
+    get frame() { return i; },
+    get frameCount() { return rec.frames.length; },
+    result: () => compareReplay(rec, sim.getState(), layerChanges),
+  };
+}
+
+// Headless: replay a whole recording in a fresh simulation (works in Node).
+export function verifyReplay(rec) {
+  const sim = createSimulation({ seed: rec.seed, infinite: rec.start.infinite });
+  const replayer = createReplayer(rec, sim);
+  while (!replayer.done) replayer.next();
+  return { ...replayer.result(), end: sim.getState() };
+}
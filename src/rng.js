@@ -16,8 +16,27 @@ export function rand01(seed) {
   return (x >>> 0) / 4294967296;
 }
 
-export function noise(wx, wy, layer) {
-  const a = rand01(hash32(wx, wy, layer));
-  const b = rand01(hash32(wx + 17, wy - 9, layer));
+// Mix a world seed into a generation salt. Seed 0 leaves the salt untouched,
+// so the default world keeps its classic layout.
+export function mixSeed(salt, seed) {
+  return (salt ^ Math.imul(seed >>> 0, 0x9e3779b1)) >>> 0;
+}
+
+// Accepts numbers, numeric strings or arbitrary text (e.g. from ?seed=).
+export function parseSeed(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return Math.trunc(value) >>> 0;
+  const s = String(value ?? '').trim();
+  if (!s) return 0;
+  if (/^-?\d+$/.test(s)) return Number(s) >>> 0;
+  let h = 2166136261 >>> 0;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i); h = Math.imul(h, 16777619) >>> 0;
+  }
+  return h >>> 0;
+}
+
+export function noise(wx, wy, layer, seed = 0) {
+  const a = rand01(hash32(wx, wy, mixSeed(layer, seed)));
+  const b = rand01(hash32(wx + 17, wy - 9, mixSeed(layer, seed)));
   return (a * 0.7 + b * 0.3);
 }
@@ -0,0 +1,106 @@
+import { LAYER_COUNT, CHUNK_TILES, SAVE } from './config.js';
+
+/**
+ * Save games and shareable locations.
+ * A save is plain JSON:
+ *   { kind: 'doomzio-save', version, savedAt, state: <sim state>, explored }
+ * - Slots live in localStorage ('auto' plus 1..SAVE.slots); the same object
+ *   is what gets exported/imported as a file
+ * - Locations travel in the URL fragment: #layer=1&x=..&y=.. (the world seed
+ *   stays in the query string)
+ */
+
+export const SAVE_VERSION = 1;
+const SAVE_KIND = 'doomzio-save';
+const STORAGE_PREFIX = 'doomzio.save.v1.';
+
+export const SAVE_SLOTS = ['auto', ...Array.from({ length: SAVE.slots }, (_, i) => String(i + 1))];
+
+export function makeSave(sim, exploration) {
+  return {
+    kind: SAVE_KIND,
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    state: sim.getState(),
+    explored: exploration ? exploration.getState() : null,
+  };
+}
+
+export function isSave(data) {
+  return !!data && data.kind === SAVE_KIND;
+}
+
+// Explored chunks as written by explore.js getState(): per layer
+// [[cx, cy, hex]], one hex digit per 4 tiles.
+const EXPLORED_HEX = new RegExp(`^[0-9a-f]{${CHUNK_TILES * CHUNK_TILES / 4}}$`);
+
+function validExplored(explored) {
+  return Array.isArray(explored) && explored.every((list) => Array.isArray(list) && list.every((ch) =>
+    Array.isArray(ch) && Number.isInteger(ch[0]) && Number.isInteger(ch[1]) && EXPLORED_HEX.test(ch[2])));
+}
+
+// Throws with a readable message when the data can't be loaded.
+export function validateSave(data) {
+  if (!isSave(data)) throw new Error('not a save file');
+  if (data.version !== SAVE_VERSION) throw new Error(`save version ${data.version}, expected ${SAVE_VERSION}`);
+  const s = data.state;
+  if (!s || !Number.isFinite(s.x) || !Number.isFinite(s.y)) throw new Error('save has no position');
+  if (!Number.isInteger(s.seed) || s.seed < 0 || s.seed > 0xffffffff) throw new Error(`bad seed ${s.seed}`);
+  if (!Number.isInteger(s.layer) || s.layer < 0 || s.layer >= LAYER_COUNT) throw new Error(`bad layer ${s.layer}`);
+  // Optional in the state (they default to 0), but never anything but numbers.
+  for (const k of ['vx', 'vy', 'cooldown', 'time']) {
+    if (s[k] !== undefined && !Number.isFinite(s[k])) throw new Error(`bad ${k} ${s[k]}`);
+  }
+  if (data.explored != null && !validExplored(data.explored)) throw new Error('bad explored map');
+  return data;
+}
+
+function storageKey(slot) {
+  return STORAGE_PREFIX + slot;
+}
+
+export function writeSlot(slot, data) {
+  try {
+    localStorage.setItem(storageKey(slot), JSON.stringify(data));
+    return true;
+  } catch {
+    // Quota or private mode: the caller reports it.
+    return false;
+  }
+}
+
+// The save in a slot, or null when empty/unreadable.
+export function readSlot(slot) {
+  try {
+    const data = JSON.parse(localStorage.getItem(storageKey(slot)) || 'null');
+    return data && validateSave(data);
+  } catch {
+    return null;
+  }
+}
+
+export function deleteSlot(slot) {
+  try {
+    localStorage.removeItem(storageKey(slot));
+  } catch {
+    // Nothing to do.
+  }
+}
+
+// ===== Location links =====
+
+// '#layer=1&x=120.5&y=88' -> { layer, x, y }, or null when missing/invalid.
+export function parseLocationHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  if (!params.has('layer') || !params.has('x') || !params.has('y')) return null;
+  const layer = Number(params.get('layer'));
+  const x = Number(params.get('x'));
+  const y = Number(params.get('y'));
+  if (!Number.isInteger(layer) || layer < 0 || layer >= LAYER_COUNT) return null;
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+  return { layer, x, y };
+}
+
+export function locationHash({ layer, x, y }) {
+  return `#layer=${layer}&x=${x.toFixed(1)}&y=${y.toFixed(1)}`;
+}
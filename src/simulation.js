@@ -0,0 +1,289 @@
+import {
+  TILE,
+  WORLD_W, WORLD_H,
+  LAYER0,
+  PORTAL,
+  DEFAULT_SEED,
+} from './config.js';
+import { clamp } from './math.js';
+import {
+  createPortalSystem,
+  pointInOrientedMouth, movingInto, depthInto, offsetAcross,
+  teleportBody,
+} from './portals.js';
+import { createWorld } from './world.js';
+import { moveCircle, circleHitsSolid } from './collision.js';
+
+/**
+ * Headless game simulation.
+ * - No DOM, timers or rendering: everything is driven by step(input, dt)
+ * - input: { moveX, moveY, sprint } with moveX/moveY in [-1..1]
+ * - step() returns the events that happened during that step:
+ *   transitionStarted, transitionCommitted, transitionAborted, layerChanged,
+ *   teleported, portalApproached
+ */
+export function createSimulation(opts = {}) {
+  const seed = (opts.seed ?? DEFAULT_SEED) >>> 0;
+  const portals = opts.portals ?? createPortalSystem({ seed, infinite: opts.infinite });
+  const world = opts.world ?? createWorld(portals, { seed, infinite: opts.infinite });
+
+  // ===== Player =====
+  const player = { x: WORLD_W / 2, y: WORLD_H / 2, vx: 0, vy: 0, r: 10,
+    maxSpeed: 220, sprintMul: 1.45, accel: 1400, friction: 10.5 };
+  let layer = opts.layer ?? LAYER0;
+  if (opts.x !== undefined) player.x = opts.x;
+  if (opts.y !== undefined) player.y = opts.y;
+
+  // Never start inside a wall.
+  function unstickPlayer() {
+    if (!circleHitsSolid(world, layer, player.x, player.y, player.r)) return;
+    const spot = world.findWalkable(layer, player.x, player.y);
+    if (spot) { player.x = spot.x; player.y = spot.y; }
+  }
+  unstickPlayer();
+
+  function worldClamp() {
+    if (world.infinite) return;
+    // Prevent chunk index overflow by never allowing x==WORLD_W etc.
+    const eps = 0.0001;
+    player.x = clamp(player.x, 0, WORLD_W - eps);
+    player.y = clamp(player.y, 0, WORLD_H - eps);
+  }
+
+  // ===== Transition =====
+  // Progress follows the player through the mouth: 0 where the transition
+  // started, 1 once they are commitDepth px further in (the portal depth, or
+  // less when a wall or the world edge is closer). Reaching 1 commits to the
+  // other side; backing out past the start or leaving the mouth sideways
+  // aborts, with no cooldown.
+  const trans = {
+    active: false,
+    entrance: null,
+    srcLayer: null,
+    progress: 0,
+    startX: 0,
+    startY: 0,
+    commitDepth: PORTAL.depth,
+    cooldown: 0,
+  };
+
+  let entrances = world.getNearbyEntrances(layer, player.x, player.y);
+  let material = world.materialAt(layer, player.x, player.y);
+  let time = 0;
+
+  // Entrance ids within PORTAL.approachRange; portalApproached fires once per
+  // approach and re-arms after moving away.
+  let approached = new Set();
+
+  function entrancesInRange() {
+    const out = [];
+    for (const e of entrances) {
+      const distance = Math.hypot(e.x - player.x, e.y - player.y);
+      if (distance <= PORTAL.approachRange) out.push({ entrance: e, distance });
+    }
+    return out;
+  }
+
+  // How far the player can get into the mouth from (x, y), capped at its depth.
+  function commitDepthFor(e, x, y) {
+    const stepPx = TILE / 4;
+    for (let d = stepPx; d <= e.depth; d += stepPx) {
+      if (circleHitsSolid(world, layer, x + e.dir.dx * d, y + e.dir.dy * d, player.r)) return Math.max(stepPx, d - stepPx);
+    }
+    return e.depth;
+  }
+
+  function tryStartTransition(mvx, mvy) {
+    if (trans.active || trans.cooldown > 0) return null;
+    for (const e of entrances) {
+      if (pointInOrientedMouth(player.x, player.y, e) && movingInto(e, mvx, mvy)) {
+        trans.active = true;
+        trans.entrance = e;
+        trans.srcLayer = layer;
+        trans.progress = 0;
+        trans.startX = player.x;
+        trans.startY = player.y;
+        trans.commitDepth = commitDepthFor(e, player.x, player.y);
+        return e;
+      }
+    }
+    return null;
+  }
+
+  function endTransition() {
+    trans.active = false;
+    trans.entrance = null;
+    trans.srcLayer = null;
+    trans.progress = 0;
+  }
+
+  function applyMovement(input, dt) {
+    let ix = clamp(input.moveX || 0, -1, 1);
+    let iy = clamp(input.moveY || 0, -1, 1);
+
+    // Normalise diagonals, but keep analog magnitudes below 1.
+    const ilen = Math.hypot(ix, iy);
+    if (ilen > 1) { ix /= ilen; iy /= ilen; }
+
+    // Ground material scales speed, acceleration and friction (sand slows you, snow slides).
+    const maxSpeed = player.maxSpeed * (input.sprint ? player.sprintMul : 1) * (material.speed ?? 1);
+    const accel = player.accel * (material.accel ?? 1);
+    const friction = player.friction * (material.friction ?? 1);
+
+    // Accelerate toward desired velocity
+    const targetVx = ix * maxSpeed;
+    const targetVy = iy * maxSpeed;
+
+    const dvx = targetVx - player.vx;
+    const dvy = targetVy - player.vy;
+    const dlen = Math.hypot(dvx, dvy);
+
+    if (dlen > 0.0001) {
+      const step = Math.min(dlen, accel * dt);
+      player.vx += (dvx / dlen) * step;
+      player.vy += (dvy / dlen) * step;
+    }
+
+    // Friction when no input (or just damping always, cheap & stable)
+    if (Math.abs(ix) < 0.001 && Math.abs(iy) < 0.001) {
+      const damp = Math.exp(-friction * dt);
+      player.vx *= damp;
+      player.vy *= damp;
+    } else {
+      // light damping even while moving to keep things stable
+      const moveDamp = Math.exp(-friction * 0.25 * dt);
+      player.vx *= moveDamp;
+      player.vy *= moveDamp;
+    }
+
+    // Clamp max speed
+    const v = Math.hypot(player.vx, player.vy);
+    if (v > maxSpeed) {
+      player.vx = (player.vx / v) * maxSpeed;
+      player.vy = (player.vy / v) * maxSpeed;
+    }
+  }
+
+  function step(input, dt) {
+    const events = [];
+    time += dt;
+
+    applyMovement(input, dt);
+    const mvx = player.vx;
+    const mvy = player.vy;
+
+    if (trans.cooldown > 0) trans.cooldown = Math.max(0, trans.cooldown - dt);
+
+    // Move every step, even during portal transition, so the animation feels seamless.
+    moveCircle(world, layer, player, mvx * dt, mvy * dt);
+    worldClamp();
+
+    if (trans.active) {
+      const e = trans.entrance;
+      trans.progress = (depthInto(e, player.x, player.y) - depthInto(e, trans.startX, trans.startY)) / trans.commitDepth;
+
+      if (trans.progress >= 1) {
+        events.push({ type: 'transitionCommitted', entrance: e });
+
+        // Stacked portals switch layers without teleporting: you end up where your movement naturally carried you.
+        // No positional nudge on exit (portal clearings make this walkable; unstick is a safety net).
+        // Teleports carry the same offset over to the exit site.
+        const from = layer;
+        const fromX = player.x, fromY = player.y;
+        layer = e.toLayer;
+        if (e.kind === 'teleport') teleportBody(e, player);
+        unstickPlayer();
+
+        endTransition();
+        trans.cooldown = PORTAL.transition.cooldown;
+
+        if (from !== layer) events.push({ type: 'layerChanged', from, to: layer, entrance: e });
+        if (e.kind === 'teleport') {
+          events.push({ type: 'teleported', from: { x: fromX, y: fromY }, to: { x: player.x, y: player.y }, entrance: e });
+        }
+      } else if (trans.progress < 0 || offsetAcross(e, player.x, player.y) > e.mouthW / 2 + player.r) {
+        // Turned around (or slipped out sideways) before crossing.
+        endTransition();
+        events.push({ type: 'transitionAborted', entrance: e });
+      }
+    }
+
+    entrances = world.getNearbyEntrances(layer, player.x, player.y);
+    material = world.materialAt(layer, player.x, player.y);
+
+    const near = new Set();
+    for (const { entrance, distance } of entrancesInRange()) {
+      near.add(entrance.id);
+      if (!approached.has(entrance.id)) events.push({ type: 'portalApproached', entrance, distance });
+    }
+    approached = near;
+
+    if (!trans.active) {
+      const e = tryStartTransition(mvx, mvy);
+      if (e) events.push({ type: 'transitionStarted', entrance: e });
+    }
+
+    return events;
+  }
+
+  // Plain-data snapshot of everything step() depends on (JSON-safe).
+  function getState() {
+    return {
+      seed,
+      infinite: world.infinite,
+      layer,
+      time,
+      x: player.x,
+      y: player.y,
+      vx: player.vx,
+      vy: player.vy,
+      cooldown: trans.cooldown,
+      transition: trans.active ? {
+        entranceId: trans.entrance.id,
+        srcLayer: trans.srcLayer,
+        progress: trans.progress,
+        startX: trans.startX,
+        startY: trans.startY,
+      } : null,
+    };
+  }
+
+  function setState(s) {
+    layer = s.layer ?? layer;
+    time = s.time ?? 0;
+    player.x = s.x;
+    player.y = s.y;
+    player.vx = s.vx ?? 0;
+    player.vy = s.vy ?? 0;
+    trans.cooldown = s.cooldown ?? 0;
+    worldClamp();
+    entrances = world.getNearbyEntrances(layer, player.x, player.y);
+    material = world.materialAt(layer, player.x, player.y);
+    approached = new Set(entrancesInRange().map(({ entrance }) => entrance.id));
+
+    const t = s.transition;
+    const e = t && entrances.find((en) => en.id === t.entranceId);
+    trans.active = !!e;
+    trans.entrance = e || null;
+    trans.srcLayer = e ? t.srcLayer : null;
+    trans.progress = e ? t.progress : 0;
+    trans.startX = e ? t.startX : 0;
+    trans.startY = e ? t.startY : 0;
+    trans.commitDepth = e ? commitDepthFor(e, t.startX, t.startY) : PORTAL.depth;
+  }
+
+  return {
+    seed,
+    world,
+    portals,
+    player,
+    trans,
+    step,
+    getState,
+    setState,
+    get layer() { return layer; },
+    get time() { return time; },
+    get entrances() { return entrances; },
+    get material() { return material; },
+  };
+}
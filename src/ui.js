@@ -1,19 +1,60 @@
-import { LAYER_NAMES } from './config.js';
+import { TILE, LAYER_NAMES } from './config.js';
+
+// Screen-space compass arrows, clockwise from east (+Y is down).
+const ARROWS = ['→', '↘', '↓', '↙', '←', '↖', '↑', '↗'];
+
+const STATUS_MS = 4000; // how long a status message stays up
+
+// HUD line for the nearest portal (see setPortalInfo).
+export function portalInfoText(info) {
+  const dest = LAYER_NAMES[info.toLayer] ?? info.toLayer;
+  const what = `${info.kind === 'teleport' ? 'Teleport' : 'Portal'} to ${dest}`;
+  const oneWay = info.mode === 'oneway' ? ' · one-way, no way back' : '';
+  if (info.transitioning) return `Entering: ${what}${oneWay}`;
+  const tiles = Math.round(info.distance / TILE);
+  const where = tiles < 1 ? 'here' : `${tiles} tiles ${ARROWS[Math.round(info.angle / (Math.PI / 4)) & 7]}`;
+  return `${what}${oneWay} · ${where}`;
+}
 
 export function createUI() {
   const layerBadge = document.getElementById('layerBadge');
   const entranceInfo = document.getElementById('entranceInfo');
+  const status = document.getElementById('status');
 
-  function setLayerUI(layer) {
+  function setLayerUI(layer, biomeName) {
     if (!layerBadge) return;
-    layerBadge.textContent = `Layer: ${LAYER_NAMES[layer] ?? layer}`;
+    const biome = biomeName ? ` · ${biomeName}` : '';
+    layerBadge.textContent = `Layer: ${LAYER_NAMES[layer] ?? layer}${biome}`;
   }
 
-  function setEntranceInfo(text) {
-    if (!entranceInfo) return;
+  let entranceText = null;
+  function setEntranceInfo(text, warn = false) {
+    if (!entranceInfo || text === entranceText) return;
+    entranceText = text;
     entranceInfo.textContent = text;
     entranceInfo.classList.remove('ghost');
+    entranceInfo.classList.toggle('warn', warn);
+  }
+
+  // Nearest portal: { toLayer, kind, mode, distance, angle, transitioning? },
+  // or null when there is none around. One-way portals get the warning style.
+  function setPortalInfo(info) {
+    if (!info) setEntranceInfo('No portals nearby');
+    else setEntranceInfo(portalInfoText(info), info.mode === 'oneway');
+  }
+
+  // Short-lived messages (recording, replay results...), hidden again after
+  // `ms` unless replaced. null hides it now. Per-frame updates (the REC
+  // counter) keep it up.
+  let statusTimer = null;
+  function setStatus(text, ms = STATUS_MS) {
+    if (!status) return;
+    clearTimeout(statusTimer);
+    status.hidden = text == null;
+    if (text == null) return;
+    status.textContent = text;
+    statusTimer = setTimeout(() => { status.hidden = true; }, ms);
   }
 
-  return { setLayerUI, setEntranceInfo };
+  return { setLayerUI, setEntranceInfo, setPortalInfo, setStatus };
 }
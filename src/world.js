@@ -1,272 +1,224 @@
 import {
-  TILE, CHUNK_TILES, CHUNK_PX,
+  TILE, CHUNK_PX,
   WORLD_CHUNKS_W, WORLD_CHUNKS_H,
-  WORLD_W, WORLD_H,
-  LAYER0, LAYER1, LAYER2,
-  CHUNK_CACHE_MAX,
+  CHUNK_CACHE_MAX, CHUNK_CACHE_BUDGET_MB,
+  DEFAULT_SEED,
 } from './config.js';
 import { clamp } from './math.js';
-import { hash32, rand01 } from './rng.js';
+import { createChunkGenerator, placeholderColor } from './chunkgen.js';
+import { createLRU } from './lru.js';
 
 /**
- * World generation (v0.5.0)
- * - Large biome regions (Voronoi in world-pixel space)
- * - Multiple materials per layer (surface/caves/deep)
- * - Chunk-seamless borders and subtle height modulation
- * - Border outline is intentionally 1px wider than before
+ * World (v0.5.0)
+ * - Chunk image cache on top of the pure generator in chunkgen.js
+ * - Optional worker pool: chunks arrive asynchronously, a flat placeholder
+ *   is drawn meanwhile, entrances and solidity are always synchronous
+ * - opts.infinite: unbounded plane, chunk coords may be any integers and the
+ *   LRU cache streams chunks in and out as the player travels
+ * - O(1) LRU with an entry limit and a memory budget; hit/miss/generation
+ *   stats for the debug overlay; prefetchChunk() for prefetch.js
+ * - opts.onChunkGenerated({ layer, cx, cy, ms }) / opts.onChunkEvicted({ layer, cx, cy })
+ * - chunkPixels() skips the cache and the DOM (headless map rendering)
+ * - propsForChunk() lists the decorations baked into a chunk's image
  */
 
-// --- Tuning knobs ---
-const VORONOI_SEEDS = 16;       // fewer seeds => larger biome regions (>= ~3 chunks on avg)
-const NOISE_CELL_PX = 160;      // low-frequency height modulation
-const HEIGHT_STRENGTH = 0.030;  // subtle variation (tile-art vibe)
+const CHUNK_BYTES = CHUNK_PX * CHUNK_PX * 4;
 
-// Outline + dark bands (pixel-art border feel)
-const C_OUTLINE = [63, 63, 63];
-const BAND1_MUL = 0.74; // strong near-edge dark
-const BAND2_MUL = 0.87; // softer outer edge dark
-
-// Palettes: each entry is an RGB base "material" color.
-// More than 3 biomes, per-layer.
-const PALETTES = {
-  [LAYER0]: [ // Surface
-    [ 94, 119,  19], // grass
-    [191, 139,  50], // sand
-    [191, 191, 191], // snow
-    [ 74, 104,  62], // forest/moss
-    [134,  92,  58], // dirt
-  ],
-  [LAYER1]: [ // Caves
-    [110,  84,  45], // dirt
-    [120, 120, 120], // rock
-    [ 70, 110,  70], // moss
-    [ 86,  86,  96], // slate
-    [ 58,  72,  82], // damp stone
-  ],
-  [LAYER2]: [ // Deep
-    [ 70,  70,  75], // basalt
-    [ 95,  80,  55], // deep dirt
-    [120,  70, 140], // crystal-ish
-    [ 52,  48,  58], // dark shale
-    [ 84,  52,  62], // iron/clay
-  ],
-};
+function makeChunkCanvas() {
+  const off = document.createElement('canvas');
+  off.width = CHUNK_PX;
+  off.height = CHUNK_PX;
+  return off;
+}
 
-const lerp = (a, b, t) => a + (b - a) * t;
-const smoothstep = (t) => t * t * (3 - 2 * t);
+function canvasFromPixels(data) {
+  const off = makeChunkCanvas();
+  const g = off.getContext('2d', { alpha: false });
+  g.putImageData(new ImageData(data, CHUNK_PX, CHUNK_PX), 0, 0);
+  return off;
+}
 
-function valueNoise01(wx, wy, salt) {
-  // Value noise on a NOISE_CELL_PX grid with smooth interpolation; output [0..1]
-  const gx = Math.floor(wx / NOISE_CELL_PX);
-  const gy = Math.floor(wy / NOISE_CELL_PX);
-  const fx = (wx - gx * NOISE_CELL_PX) / NOISE_CELL_PX;
-  const fy = (wy - gy * NOISE_CELL_PX) / NOISE_CELL_PX;
+export function createWorld(portalSystem, opts = {}) {
+  const seed = (opts.seed ?? portalSystem.seed ?? DEFAULT_SEED) >>> 0;
+  const infinite = !!opts.infinite;
+  const workers = opts.workers ?? null; // see chunkpool.js
+  const onChunkGenerated = opts.onChunkGenerated ?? null;
+  const onChunkEvicted = opts.onChunkEvicted ?? null;
+  const pending = new Map(); // key -> true while only prefetched
+  let cacheGen = 0; // bumped by clearCache(); older worker results are dropped
+  const placeholders = new Map(); // layer -> canvas
+  const chunkKey = (layer, cx, cy) => `${layer}:${cx}:${cy}`;
 
-  const sx = smoothstep(fx);
-  const sy = smoothstep(fy);
+  const stats = {
+    hits: 0,
+    misses: 0,
+    generated: 0,
+    evicted: 0,
+    prefetched: 0,
+    genMsTotal: 0,
+    genMsLast: 0,
+  };
 
-  const v00 = rand01(hash32(gx,     gy,     salt));
-  const v10 = rand01(hash32(gx + 1, gy,     salt));
-  const v01 = rand01(hash32(gx,     gy + 1, salt));
-  const v11 = rand01(hash32(gx + 1, gy + 1, salt));
+  const chunkCache = createLRU({ // key -> { img, entrances: [] }
+    maxEntries: CHUNK_CACHE_MAX,
+    maxBytes: CHUNK_CACHE_BUDGET_MB * 1024 * 1024,
+    onEvict: (key, ch) => {
+      stats.evicted++;
+      if (ch.img.close) ch.img.close(); // ImageBitmap from a worker
+      if (onChunkEvicted) {
+        const [layer, cx, cy] = key.split(':').map(Number);
+        onChunkEvicted({ layer, cx, cy });
+      }
+    },
+  });
 
-  const vx0 = lerp(v00, v10, sx);
-  const vx1 = lerp(v01, v11, sx);
-  return lerp(vx0, vx1, sy);
-}
+  const gen = createChunkGenerator(portalSystem, seed, { infinite });
+  portalSystem.setTerrain(gen);
+  const { isSolidTile, biomeAt, propsForChunk } = gen;
 
-function makeSeedsForLayer(layer) {
-  // Deterministic world-space Voronoi seeds per layer (stable, seamless across chunks).
-  const seeds = new Array(VORONOI_SEEDS);
-  const salt = 9001 + layer * 97;
-  for (let i = 0; i < VORONOI_SEEDS; i++) {
-    const sx = rand01(hash32(i, 0, salt)) * (WORLD_W - 1);
-    const sy = rand01(hash32(i, 1, salt)) * (WORLD_H - 1);
-    seeds[i] = { x: sx, y: sy };
+  // Palette material under a world point (name, rgb, walkable, movement mults).
+  function materialAt(layer, wx, wy) {
+    return biomeAt(layer, wx, wy).material;
   }
-  return seeds;
-}
 
-function regionIdAt(seeds, wx, wy) {
-  let best = 1e30;
-  let bestId = 0;
-  for (let i = 0; i < seeds.length; i++) {
-    const dx = wx - seeds[i].x;
-    const dy = wy - seeds[i].y;
-    const d = dx * dx + dy * dy;
-    if (d < best) { best = d; bestId = i; }
+  function isSolidAt(layer, wx, wy) {
+    return isSolidTile(layer, Math.floor(wx / TILE), Math.floor(wy / TILE));
   }
-  return bestId;
-}
-
-function baseColorForRegion(layer, regionId) {
-  const pal = PALETTES[layer] || PALETTES[LAYER0];
-  return pal[regionId % pal.length];
-}
 
-function dilate8(mask, w, h) {
-  // mask: Uint8Array of 0/1
-  const out = new Uint8Array(mask.length);
-  for (let y = 0; y < h; y++) {
-    const y0 = Math.max(0, y - 1);
-    const y1 = Math.min(h - 1, y + 1);
-    for (let x = 0; x < w; x++) {
-      const x0 = Math.max(0, x - 1);
-      const x1 = Math.min(w - 1, x + 1);
-      let v = 0;
-      for (let yy = y0; yy <= y1 && !v; yy++) {
-        const row = yy * w;
-        for (let xx = x0; xx <= x1; xx++) {
-          if (mask[row + xx]) { v = 1; break; }
-        }
+  // Nearest walkable tile centre (spiral search in tile rings).
+  function findWalkable(layer, wx, wy, maxRadius = 64) {
+    const tx0 = Math.floor(wx / TILE);
+    const ty0 = Math.floor(wy / TILE);
+    if (!isSolidTile(layer, tx0, ty0)) return { x: wx, y: wy };
+    for (let r = 1; r <= maxRadius; r++) {
+      let best = null, bestD = Infinity;
+      for (let oy = -r; oy <= r; oy++) for (let ox = -r; ox <= r; ox++) {
+        if (Math.max(Math.abs(ox), Math.abs(oy)) !== r) continue;
+        if (isSolidTile(layer, tx0 + ox, ty0 + oy)) continue;
+        const x = (tx0 + ox) * TILE + TILE / 2;
+        const y = (ty0 + oy) * TILE + TILE / 2;
+        const d = Math.hypot(x - wx, y - wy);
+        if (d < bestD) { bestD = d; best = { x, y }; }
       }
-      out[y * w + x] = v;
+      if (best) return best;
     }
+    return null;
   }
-  return out;
-}
 
-export function createWorld(portalSystem) {
-  const chunkCache = new Map(); // key -> { img, entrances: [] }
-  const chunkUse = new Map();
-  const chunkKey = (layer, cx, cy) => `${layer}:${cx}:${cy}`;
+  function noteGenerated(layer, cx, cy, ms) {
+    stats.generated++;
+    stats.genMsTotal += ms;
+    stats.genMsLast = ms;
+    if (onChunkGenerated) onChunkGenerated({ layer, cx, cy, ms });
+  }
 
-  const seedsByLayer = [
-    makeSeedsForLayer(LAYER0),
-    makeSeedsForLayer(LAYER1),
-    makeSeedsForLayer(LAYER2),
-  ];
+  // Plain RGBA pixels for a chunk; no cache and no DOM, so headless tools
+  // (tools/render-map.mjs) can use it.
+  function chunkPixels(layer, cx, cy) {
+    return gen.genChunkPixels(layer, cx, cy);
+  }
 
   function genChunk(layer, cx, cy) {
-    const off = document.createElement('canvas');
-    off.width = CHUNK_PX;
-    off.height = CHUNK_PX;
-    const g = off.getContext('2d', { alpha: false });
+    const t0 = performance.now();
+    const img = canvasFromPixels(chunkPixels(layer, cx, cy));
+    noteGenerated(layer, cx, cy, performance.now() - t0);
 
-    // Render via ImageData for crisp borders.
-    const img = g.createImageData(CHUNK_PX, CHUNK_PX);
-    const data = img.data;
-
-    const seeds = seedsByLayer[layer] || seedsByLayer[0];
+    // Portals are generated deterministically per chunk.
+    const entrances = portalSystem.entrancesForChunk(layer, cx, cy);
+    return { img, entrances };
+  }
 
-    // We do border dilation up to 3 px (outline wider + 2 dark bands).
-    const PAD = 3;
-    const PW = CHUNK_PX + PAD * 2;
-    const PH = CHUNK_PX + PAD * 2;
+  function placeholderFor(layer) {
+    let off = placeholders.get(layer);
+    if (!off) {
+      off = makeChunkCanvas();
+      const g = off.getContext('2d', { alpha: false });
+      const [r, gg, b] = placeholderColor(layer);
+      g.fillStyle = `rgb(${r},${gg},${b})`;
+      g.fillRect(0, 0, CHUNK_PX, CHUNK_PX);
+      placeholders.set(layer, off);
+    }
+    return off;
+  }
 
-    const region = new Uint8Array(PW * PH);
+  function storeChunk(key, ch) {
+    chunkCache.set(key, ch, CHUNK_BYTES);
+  }
 
-    // Region IDs in world-pixel space (clamped at world bounds).
-    for (let py = 0; py < PH; py++) {
-      const wy = cy * CHUNK_PX + (py - PAD);
-      const clampedWy = clamp(wy, 0, WORLD_H - 1);
-      const row = py * PW;
-      for (let px = 0; px < PW; px++) {
-        const wx = cx * CHUNK_PX + (px - PAD);
-        const clampedWx = clamp(wx, 0, WORLD_W - 1);
-        region[row + px] = regionIdAt(seeds, clampedWx, clampedWy);
+  function requestChunk(layer, cx, cy, key, low = false) {
+    if (pending.has(key)) {
+      if (!low && pending.get(key)) {
+        pending.set(key, false);
+        workers.promote(layer, cx, cy);
       }
+      return;
     }
-
-    // Edge pixels (4-neighbor differences: right/down)
-    const edge = new Uint8Array(PW * PH);
-    for (let py = 0; py < PH; py++) {
-      const row = py * PW;
-      for (let px = 0; px < PW; px++) {
-        const id = region[row + px];
-        let e = 0;
-        if (px + 1 < PW && region[row + (px + 1)] !== id) e = 1;
-        if (py + 1 < PH && region[(py + 1) * PW + px] !== id) e = 1;
-        edge[row + px] = e;
+    pending.set(key, low);
+    const requestedIn = cacheGen;
+    workers.request(layer, cx, cy, (result) => {
+      if (requestedIn !== cacheGen) {
+        if (result?.bitmap?.close) result.bitmap.close();
+        return;
       }
-    }
-
-    // Make outline 1px wider than the previous look:
-    // outline = dilate1(edge) (so it includes edge + neighbors => thicker stroke)
-    const d1 = dilate8(edge, PW, PH);         // outline (wider)
-    const d2 = dilate8(d1, PW, PH);           // outline + band1
-    const d3 = dilate8(d2, PW, PH);           // outline + band1 + band2
-
-    const outline = d1;
-    const band1 = new Uint8Array(PW * PH);
-    const band2 = new Uint8Array(PW * PH);
-
-    for (let i = 0; i < band1.length; i++) band1[i] = (d2[i] && !d1[i]) ? 1 : 0;
-    for (let i = 0; i < band2.length; i++) band2[i] = (d3[i] && !d2[i]) ? 1 : 0;
-
-    // Base fill with subtle height modulation.
-    const heightSalt = 7777 + layer * 131;
-
-    for (let y = 0; y < CHUNK_PX; y++) {
-      const wy = cy * CHUNK_PX + y;
-      const rowImg = y * CHUNK_PX;
-      const rowP = (y + PAD) * PW;
-
-      for (let x = 0; x < CHUNK_PX; x++) {
-        const wx = cx * CHUNK_PX + x;
-
-        const pid = region[rowP + (x + PAD)];
-        const base = baseColorForRegion(layer, pid);
-
-        let r = base[0], gg = base[1], b = base[2];
-
-        // Height modulation only affects the base.
-        const h = valueNoise01(wx, wy, heightSalt) - 0.5; // [-0.5..+0.5]
-        const mul = 1 + h * HEIGHT_STRENGTH;
-        r = Math.max(0, Math.min(255, Math.round(r * mul)));
-        gg = Math.max(0, Math.min(255, Math.round(gg * mul)));
-        b = Math.max(0, Math.min(255, Math.round(b * mul)));
-
-        const idxP = rowP + (x + PAD);
-
-        if (band2[idxP]) {
-          r = Math.round(r * BAND2_MUL);
-          gg = Math.round(gg * BAND2_MUL);
-          b = Math.round(b * BAND2_MUL);
-        }
-        if (band1[idxP]) {
-          r = Math.round(r * BAND1_MUL);
-          gg = Math.round(gg * BAND1_MUL);
-          b = Math.round(b * BAND1_MUL);
-        }
-        if (outline[idxP]) {
-          r = C_OUTLINE[0];
-          gg = C_OUTLINE[1];
-          b = C_OUTLINE[2];
-        }
-
-        const di = (rowImg + x) * 4;
-        data[di + 0] = r;
-        data[di + 1] = gg;
-        data[di + 2] = b;
-        data[di + 3] = 255;
+      pending.delete(key);
+      if (!result) {
+        // Pool gave up; generate here so the chunk still shows up.
+        storeChunk(key, genChunk(layer, cx, cy));
+        return;
       }
-    }
-
-    g.putImageData(img, 0, 0);
-
-    // Portals are generated deterministically per chunk.
-    const entrances = portalSystem.entrancesForChunk(layer, cx, cy);
-    return { img: off, entrances };
+      const img = result.bitmap ?? canvasFromPixels(result.pixels);
+      const entrances = portalSystem.entrancesForChunk(layer, cx, cy);
+      storeChunk(key, { img, entrances });
+      noteGenerated(layer, cx, cy, result.ms ?? 0);
+    }, { low });
   }
 
-  function getChunk(layer, cx, cy, now) {
+  function getChunk(layer, cx, cy) {
     const key = chunkKey(layer, cx, cy);
     const hit = chunkCache.get(key);
-    if (hit) { chunkUse.set(key, now); return hit; }
+    if (hit) { stats.hits++; return hit; }
+    stats.misses++;
+
+    if (workers && !workers.broken) {
+      // Keep frames smooth: draw a placeholder until the worker answers.
+      requestChunk(layer, cx, cy, key);
+      return {
+        img: placeholderFor(layer),
+        entrances: portalSystem.entrancesForChunk(layer, cx, cy),
+        pending: true,
+      };
+    }
 
     const ch = genChunk(layer, cx, cy);
-    chunkCache.set(key, ch);
-    chunkUse.set(key, now);
+    storeChunk(key, ch);
+    return ch;
+  }
 
-    if (chunkCache.size > CHUNK_CACHE_MAX) {
-      let oldestKey = null, oldestT = Infinity;
-      for (const [k, last] of chunkUse.entries()) {
-        if (last < oldestT) { oldestT = last; oldestKey = k; }
-      }
-      if (oldestKey) { chunkCache.delete(oldestKey); chunkUse.delete(oldestKey); }
+  function inBounds(cx, cy) {
+    return infinite || (cx >= 0 && cy >= 0 && cx < WORLD_CHUNKS_W && cy < WORLD_CHUNKS_H);
+  }
+
+  // Warm a chunk without drawing it. Returns true if work was started
+  // (false when cached, already pending or out of bounds).
+  function prefetchChunk(layer, cx, cy) {
+    if (!inBounds(cx, cy)) return false;
+    const key = chunkKey(layer, cx, cy);
+    if (chunkCache.has(key) || pending.has(key)) return false;
+    stats.prefetched++;
+    if (workers && !workers.broken) {
+      requestChunk(layer, cx, cy, key, true);
+    } else {
+      storeChunk(key, genChunk(layer, cx, cy));
     }
-    return ch;
+    return true;
+  }
+
+  // Requests still in flight belong to the old cache: forget them so their
+  // results are dropped and the chunks can be requested again.
+  function clearCache() {
+    cacheGen++;
+    pending.clear();
+    chunkCache.clear();
   }
 
   function chunkRangeForRect(camX, camY, rect) {
@@ -275,30 +227,55 @@ export function createWorld(portalSystem) {
     const wx1 = camX + rect.x + rect.w;
     const wy1 = camY + rect.y + rect.h;
 
-    const minCX = clamp(Math.floor(wx0 / CHUNK_PX) - 1, 0, WORLD_CHUNKS_W - 1);
-    const maxCX = clamp(Math.floor(wx1 / CHUNK_PX) + 1, 0, WORLD_CHUNKS_W - 1);
-    const minCY = clamp(Math.floor(wy0 / CHUNK_PX) - 1, 0, WORLD_CHUNKS_H - 1);
-    const maxCY = clamp(Math.floor(wy1 / CHUNK_PX) + 1, 0, WORLD_CHUNKS_H - 1);
-    return { minCX, maxCX, minCY, maxCY };
+    const minCX = Math.floor(wx0 / CHUNK_PX) - 1;
+    const maxCX = Math.floor(wx1 / CHUNK_PX) + 1;
+    const minCY = Math.floor(wy0 / CHUNK_PX) - 1;
+    const maxCY = Math.floor(wy1 / CHUNK_PX) + 1;
+    if (infinite) return { minCX, maxCX, minCY, maxCY };
+    return {
+      minCX: clamp(minCX, 0, WORLD_CHUNKS_W - 1),
+      maxCX: clamp(maxCX, 0, WORLD_CHUNKS_W - 1),
+      minCY: clamp(minCY, 0, WORLD_CHUNKS_H - 1),
+      maxCY: clamp(maxCY, 0, WORLD_CHUNKS_H - 1),
+    };
   }
 
-  function getNearbyEntrances(layer, px, py, now) {
+  // Entrances come straight from the portal system (no chunk images needed),
+  // so this is safe to call from the headless simulation.
+  function getNearbyEntrances(layer, px, py) {
     const cx = Math.floor(px / CHUNK_PX);
     const cy = Math.floor(py / CHUNK_PX);
     const out = [];
     for (let oy = -4; oy <= 4; oy++) for (let ox = -4; ox <= 4; ox++) {
       const nx = cx + ox, ny = cy + oy;
-      if (nx < 0 || ny < 0 || nx >= WORLD_CHUNKS_W || ny >= WORLD_CHUNKS_H) continue;
-      const ch = getChunk(layer, nx, ny, now);
-      for (const e of ch.entrances) out.push(e);
+      if (!inBounds(nx, ny)) continue;
+      for (const e of portalSystem.entrancesForChunk(layer, nx, ny)) out.push(e);
     }
     return out;
   }
 
   return {
     getChunk,
+    chunkPixels,
+    propsForChunk,
+    prefetchChunk,
+    clearCache,
     chunkRangeForRect,
     getNearbyEntrances,
+    biomeAt,
+    materialAt,
+    isSolidTile,
+    isSolidAt,
+    findWalkable,
+    get seed() { return seed; },
+    get infinite() { return infinite; },
+    get portals() { return portalSystem; },
     get cacheSize() { return chunkCache.size; },
+    get cacheBytes() { return chunkCache.bytes; },
+    get pendingCount() { return pending.size; },
+    get usesWorkers() { return !!workers && !workers.broken; },
+    get stats() {
+      return { ...stats, genMsAvg: stats.generated ? stats.genMsTotal / stats.generated : 0 };
+    },
   };
 }
@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { hash32, rand01 } from '../src/rng.js';
+import { createBiomeIndex, createSuperCellBiomeIndex, regionAmong } from '../src/biomes.js';
+
+// Reference: nearest seed by scanning all of them, lowest id on ties.
+function linearScan(seeds, x, y) {
+  let best = Infinity, bestId = 0;
+  for (const s of seeds) {
+    const d = (x - s.x) ** 2 + (y - s.y) ** 2;
+    if (d < best || (d === best && s.id < bestId)) { best = d; bestId = s.id; }
+  }
+  return bestId;
+}
+
+const random = (salt) => { let i = 0; return () => rand01(hash32(i++, 0, salt)); };
+
+test('bounded biome index matches a linear scan', () => {
+  const rnd = random(5);
+  for (const [count, w, h] of [[1, 500, 300], [16, 4096, 4096], [40, 3000, 1000]]) {
+    // Whole-pixel seeds so that ties actually happen.
+    const seeds = Array.from({ length: count }, (_, id) => ({ x: Math.floor(rnd() * w), y: Math.floor(rnd() * h), id }));
+    const index = createBiomeIndex(seeds, w, h);
+    for (let i = 0; i < 2000; i++) {
+      // Mostly inside the world, some points just outside it.
+      const x = Math.floor(rnd() * w * 1.2 - w * 0.1), y = Math.floor(rnd() * h * 1.2 - h * 0.1);
+      assert.equal(index.regionAt(x, y), linearScan(seeds, x, y), `${count} seeds at ${x},${y}`);
+    }
+    for (let i = 0; i < 200; i++) {
+      const x0 = rnd() * w, y0 = rnd() * h, x1 = x0 + rnd() * 256, y1 = y0 + rnd() * 256;
+      const candidates = index.candidatesForRect(x0, y0, x1, y1);
+      for (const [x, y] of [[x0, y0], [x1, y1], [(x0 + x1) / 2, y0 + rnd() * (y1 - y0)]]) {
+        assert.equal(regionAmong(candidates, x, y), linearScan(seeds, x, y));
+      }
+    }
+  }
+});
+
+test('super-cell biome index matches a linear scan over the surrounding cells', () => {
+  const salt = 1234, cellPx = 1024;
+  // Same placement as createSuperCellBiomeIndex: one jittered seed per cell.
+  const seeds = [];
+  for (let gy = -8; gy < 8; gy++) {
+    for (let gx = -8; gx < 8; gx++) {
+      seeds.push({
+        x: (gx + rand01(hash32(gx, gy, salt))) * cellPx,
+        y: (gy + rand01(hash32(gx, gy, salt + 1))) * cellPx,
+        id: hash32(gx, gy, salt + 2),
+      });
+    }
+  }
+  const index = createSuperCellBiomeIndex(salt, cellPx);
+  const rnd = random(6);
+  // Points in the middle 8x8 cells, so every possible owner is in `seeds`.
+  const span = 8 * cellPx, lo = -4 * cellPx;
+  for (let i = 0; i < 2000; i++) {
+    const x = lo + rnd() * span, y = lo + rnd() * span;
+    assert.equal(index.regionAt(x, y), linearScan(seeds, x, y), `at ${x},${y}`);
+  }
+  for (let i = 0; i < 200; i++) {
+    const x0 = lo + rnd() * (span - 512), y0 = lo + rnd() * (span - 512), x1 = x0 + rnd() * 512, y1 = y0 + rnd() * 512;
+    const candidates = index.candidatesForRect(x0, y0, x1, y1);
+    for (const [x, y] of [[x0, y0], [x1, y1], [x0 + rnd() * (x1 - x0), y0 + rnd() * (y1 - y0)]]) {
+      assert.equal(regionAmong(candidates, x, y), linearScan(seeds, x, y));
+    }
+  }
+});
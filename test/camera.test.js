@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WORLD_W, WORLD_H, CAMERA } from '../src/config.js';
+import { createCamera } from '../src/camera.js';
+
+const still = (x, y) => ({ x, y, vx: 0, vy: 0 });
+
+test('the view stays inside a bounded world', () => {
+  const camera = createCamera();
+  camera.snap(10, 10);
+  assert.deepEqual(camera.view(800, 600), { x: 0, y: 0, w: 800, h: 600, zoom: 1 });
+  camera.snap(WORLD_W, WORLD_H);
+  const v = camera.view(800, 600);
+  assert.deepEqual([v.x + v.w, v.y + v.h], [WORLD_W, WORLD_H]);
+
+  camera.bounded = false;
+  assert.deepEqual(camera.view(800, 600), { x: WORLD_W - 400, y: WORLD_H - 300, w: 800, h: 600, zoom: 1 });
+});
+
+test('zoom is clamped, eased and never shows past the world', () => {
+  const camera = createCamera();
+  camera.setZoom(100);
+  assert.equal(camera.targetZoom, CAMERA.maxZoom);
+  camera.setZoom(0.01, true);
+  assert.equal(camera.zoom, CAMERA.minZoom);
+
+  // A screen wider than half the world can't zoom out to 0.5.
+  const v = camera.view(WORLD_W * 0.8, 600);
+  assert.equal(v.zoom, 0.8);
+  assert.equal(v.w, WORLD_W);
+
+  camera.setZoom(2);
+  camera.follow(1 / 60, still(0, 0));
+  assert.ok(camera.zoom > CAMERA.minZoom && camera.zoom < 2);
+  for (let i = 0; i < 300; i++) camera.follow(1 / 60, still(0, 0));
+  assert.equal(camera.zoom, 2);
+});
+
+test('integer zoom snaps to whole numbers or 1/n', () => {
+  const camera = createCamera({ integerZoom: true });
+  camera.setZoom(2.4, true);
+  assert.equal(camera.view(320, 180).zoom, 2);
+  camera.setZoom(0.6, true);
+  assert.equal(camera.view(320, 180).zoom, 0.5);
+});
+
+test('the view leads in the direction of travel', () => {
+  const camera = createCamera({ bounded: false });
+  camera.snap(1000, 1000);
+  for (let i = 0; i < 600; i++) camera.follow(1 / 60, { x: 1000, y: 1000, vx: 500, vy: 0 });
+  assert.ok(Math.abs(camera.x - (1000 + CAMERA.maxLookAhead)) < 1);
+  assert.ok(Math.abs(camera.y - 1000) < 1e-6);
+});
@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RENDER } from '../src/config.js';
+import { parsePixelParam, presentRect } from '../src/canvas.js';
+
+test('?pixel= picks native, the default or an explicit target size', () => {
+  assert.equal(parsePixelParam(null), null);
+  assert.equal(parsePixelParam('0'), null);
+  assert.deepEqual(parsePixelParam('1'), { w: RENDER.virtualW, h: RENDER.virtualH });
+  assert.deepEqual(parsePixelParam('320x180'), { w: 320, h: 180 });
+  assert.deepEqual(parsePixelParam('0x180'), { w: RENDER.virtualW, h: RENDER.virtualH });
+});
+
+test('the render target is upscaled by a whole factor and centred', () => {
+  assert.deepEqual(presentRect(1920, 1080, 480, 270), { x: 0, y: 0, w: 1920, h: 1080, scale: 4 });
+  assert.deepEqual(presentRect(1366, 768, 480, 270), { x: 203, y: 114, w: 960, h: 540, scale: 2 });
+  assert.deepEqual(presentRect(1000, 2000, 480, 270), { x: 20, y: 730, w: 960, h: 540, scale: 2 });
+  // Smaller than the target: shrink to fit instead of cropping.
+  const r = presentRect(240, 270, 480, 270);
+  assert.deepEqual([r.w, r.h, r.scale], [240, 135, 0.5]);
+});
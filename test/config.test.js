@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LAYERS, LAYER_COUNT, LAYER_NAMES, LAYER_LINKS, SKIP_LINKS, PORTAL_LINKS,
+  WORLD_CHUNKS_W, WORLD_CHUNKS_H,
+} from '../src/config.js';
+import { createPortalSystem } from '../src/portals.js';
+
+test('portal links are derived from the layer table', () => {
+  assert.equal(LAYER_COUNT, LAYERS.length);
+  assert.deepEqual(LAYER_NAMES, LAYERS.map((l) => l.name));
+  assert.deepEqual(LAYER_LINKS, Array.from({ length: LAYER_COUNT - 1 }, (_, i) => [i, i + 1]));
+  for (const [a, b] of SKIP_LINKS) assert.ok(a >= 0 && b - a >= 2 && b < LAYER_COUNT);
+  assert.equal(PORTAL_LINKS.length, (LAYER_COUNT * (LAYER_COUNT - 1)) / 2);
+});
+
+test('every layer has walkable ground', () => {
+  for (const layer of LAYERS) {
+    assert.ok(layer.palette.some((m) => m.walkable), `${layer.name} has walkable ground`);
+    for (const m of layer.palette) assert.equal(m.rgb.length, 3);
+  }
+});
+
+test('portals only link layer pairs from the table, and reach every layer', () => {
+  const portals = createPortalSystem({ seed: 0 });
+  const pairs = new Set(PORTAL_LINKS.map(([a, b]) => `${a}:${b}`));
+  const reached = new Set();
+  for (let layer = 0; layer < LAYER_COUNT; layer++) {
+    for (let cy = 0; cy < WORLD_CHUNKS_H; cy++) {
+      for (let cx = 0; cx < WORLD_CHUNKS_W; cx++) {
+        for (const e of portals.entrancesForChunk(layer, cx, cy)) {
+          // Teleports lead elsewhere on their own layer.
+          const pair = `${Math.min(e.layer, e.toLayer)}:${Math.max(e.layer, e.toLayer)}`;
+          if (e.kind === 'teleport') assert.equal(e.toLayer, e.layer);
+          else assert.ok(pairs.has(pair), `${e.id} links ${pair}`);
+          reached.add(e.toLayer);
+        }
+      }
+    }
+  }
+  assert.equal(reached.size, LAYER_COUNT);
+});
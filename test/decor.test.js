@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNK_PX, TILE } from '../src/config.js';
+import { createPortalSystem } from '../src/portals.js';
+import { createChunkGenerator } from '../src/chunkgen.js';
+import { createDecor } from '../src/decor.js';
+
+function setup(seed) {
+  const portals = createPortalSystem({ seed, infinite: true });
+  const gen = createChunkGenerator(portals, seed, { infinite: true });
+  const decor = createDecor(portals, seed, { infinite: true, biomeAt: gen.biomeAt, isSolidTile: gen.isSolidTile });
+  return { portals, gen, decor };
+}
+
+const byFoot = (a, b) => a.y - b.y || a.x - b.x;
+
+test('props of adjacent chunks add up to the props of their union', () => {
+  const { decor } = setup(11);
+  let total = 0;
+  for (const [cx, cy] of [[0, 0], [-1, 0], [3, -2], [-4, -4]]) {
+    const x0 = cx * CHUNK_PX, y0 = cy * CHUNK_PX;
+    const right = [...decor.propsInRect(0, x0, y0, x0 + CHUNK_PX, y0 + CHUNK_PX),
+      ...decor.propsInRect(0, x0 + CHUNK_PX, y0, x0 + 2 * CHUNK_PX, y0 + CHUNK_PX)];
+    assert.deepEqual(right.sort(byFoot), decor.propsInRect(0, x0, y0, x0 + 2 * CHUNK_PX, y0 + CHUNK_PX));
+    const below = [...decor.propsInRect(2, x0, y0, x0 + CHUNK_PX, y0 + CHUNK_PX),
+      ...decor.propsInRect(2, x0, y0 + CHUNK_PX, x0 + CHUNK_PX, y0 + 2 * CHUNK_PX)];
+    assert.deepEqual(below.sort(byFoot), decor.propsInRect(2, x0, y0, x0 + CHUNK_PX, y0 + 2 * CHUNK_PX));
+    total += right.length + below.length;
+  }
+  assert.ok(total > 0, 'some props to compare');
+});
+
+test('separate generators paint identical chunks', () => {
+  const a = setup(11), b = setup(11);
+  for (const [layer, cx, cy] of [[0, 0, 0], [1, -1, 2], [2, 5, -3]]) {
+    const pa = new Uint8ClampedArray(CHUNK_PX * CHUNK_PX * 4);
+    const pb = new Uint8ClampedArray(CHUNK_PX * CHUNK_PX * 4);
+    a.decor.paintChunk(pa, layer, cx, cy);
+    b.decor.paintChunk(pb, layer, cx, cy);
+    assert.deepEqual(pa, pb);
+    // Also after the first generator has cached (and could have evicted) state.
+    assert.deepEqual(a.gen.genChunkPixels(layer, cx, cy), b.gen.genChunkPixels(layer, cx, cy));
+  }
+});
+
+test('props stay off solid tiles and out of portal clearings', () => {
+  const { portals, gen, decor } = setup(11);
+  for (let layer = 0; layer < 3; layer++) {
+    for (const p of decor.propsInRect(layer, -2 * CHUNK_PX, -2 * CHUNK_PX, 2 * CHUNK_PX, 2 * CHUNK_PX)) {
+      assert.equal(gen.isSolidTile(layer, Math.floor(p.x / TILE), Math.floor(p.y / TILE)), false);
+      const cx = Math.floor(p.x / CHUNK_PX), cy = Math.floor(p.y / CHUNK_PX);
+      for (let oy = -1; oy <= 1; oy++) for (let ox = -1; ox <= 1; ox++) {
+        for (const c of portals.clearingsForChunk(layer, cx + ox, cy + oy)) {
+          assert.ok(Math.hypot(p.x - c.x, p.y - c.y) > c.r, `prop at ${p.x},${p.y} in a clearing`);
+        }
+      }
+    }
+  }
+});
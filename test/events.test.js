@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEmitter, GAME_EVENTS } from '../src/events.js';
+import { createPluginHost } from '../src/plugins.js';
+
+test('a throwing listener is reported as an error event and the rest still run', () => {
+  const events = createEmitter(GAME_EVENTS);
+  const errors = [];
+  let ran = false;
+  events.on('error', (e) => errors.push(e));
+  events.on('chunkEvicted', () => { throw new Error('boom'); });
+  events.on('chunkEvicted', () => { ran = true; });
+  events.emit('chunkEvicted', { layer: 0, cx: 0, cy: 0 });
+  assert.equal(ran, true);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].source, 'chunkEvicted listener');
+  assert.equal(errors[0].error.message, 'boom');
+
+  // A failing error listener goes nowhere instead of looping.
+  events.on('error', () => { throw new Error('again'); });
+  events.emit('chunkEvicted', { layer: 0, cx: 0, cy: 0 });
+  assert.equal(errors.length, 2);
+  assert.throws(() => events.on('chunkEvictd', () => {}), /Unknown event type/);
+});
+
+test('a failing plugin is unregistered and reported', () => {
+  const game = { events: createEmitter(GAME_EVENTS) };
+  const host = createPluginHost(game);
+  const errors = [];
+  game.events.on('error', (e) => errors.push(e));
+  let disposed = false;
+  host.register({ name: 'ok', update() {} });
+  host.register({ name: 'bad', update() { throw new Error('nope'); }, dispose() { disposed = true; } });
+  host.update(1 / 60);
+  assert.deepEqual(host.names, ['ok']);
+  assert.equal(disposed, true);
+  assert.deepEqual(errors.map((e) => [e.source, e.error.message]), [['plugin "bad" (update)', 'nope']]);
+});
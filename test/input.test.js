@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createInput, DEFAULT_BINDINGS } from '../src/input.js';
+
+function fakeStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+  };
+}
+
+function makeInput(storage) {
+  const target = new EventTarget();
+  const input = createInput({ target, storage, touch: false });
+  const key = (type, k) => target.dispatchEvent(Object.assign(new Event(type), { key: k }));
+  return { input, key };
+}
+
+test('keys resolve to actions and axes', () => {
+  const { input, key } = makeInput(fakeStorage());
+  key('keydown', 'D');
+  key('keydown', 'Shift');
+  assert.deepEqual(input.state(), { moveX: 1, moveY: 0, sprint: true });
+  key('keyup', 'Shift');
+  key('keydown', 'a');
+  assert.deepEqual(input.state(), { moveX: 0, moveY: 0, sprint: false });
+});
+
+test('pressed actions fire once per press', () => {
+  const { input, key } = makeInput(fakeStorage());
+  let count = 0;
+  input.onAction('toggleDebug', () => count++);
+  key('keydown', 'f');
+  key('keydown', 'f'); // auto-repeat
+  key('keyup', 'f');
+  key('keydown', 'f');
+  assert.equal(count, 2);
+});
+
+test('reset releases held keys and isBound follows rebinding', () => {
+  const { input, key } = makeInput(fakeStorage());
+  key('keydown', 'w');
+  key('keydown', 'Shift');
+  input.reset();
+  assert.deepEqual(input.state(), { moveX: 0, moveY: 0, sprint: false });
+  assert.equal(input.isBound('toggleConsole', '`'), true);
+  input.bind('toggleConsole', ['F2']);
+  assert.equal(input.isBound('toggleConsole', 'F2'), true);
+  assert.equal(input.isBound('toggleConsole', '`'), false);
+});
+
+test('rebinding is saved and restored by the next input', () => {
+  const storage = fakeStorage();
+  const first = makeInput(storage);
+  first.input.bind('sprint', ['Q']);
+  first.input.bind('sprint', [3], 'pad');
+
+  const { input, key } = makeInput(storage);
+  assert.deepEqual(input.bindings.keys.sprint, ['q']);
+  assert.deepEqual(input.bindings.pad.sprint, [3]);
+  key('keydown', 'shift');
+  assert.equal(input.isActionDown('sprint'), false);
+  key('keydown', 'q');
+  assert.equal(input.isActionDown('sprint'), true);
+
+  input.resetBindings();
+  assert.deepEqual(makeInput(storage).input.bindings, DEFAULT_BINDINGS);
+});
+
+test('unknown actions and corrupt storage fall back to the defaults', () => {
+  const saved = JSON.stringify({ keys: { sprint: ['z'], flyAway: ['x'] }, pad: { up: 'nope' } });
+  const { input } = makeInput(fakeStorage({ 'doomzio.bindings.v1': saved }));
+  assert.deepEqual(input.bindings.keys.sprint, ['z']);
+  assert.equal('flyAway' in input.bindings.keys, false);
+  assert.deepEqual(input.bindings.pad.up, DEFAULT_BINDINGS.pad.up);
+
+  assert.deepEqual(makeInput(fakeStorage({ 'doomzio.bindings.v1': '{oops' })).input.bindings, DEFAULT_BINDINGS);
+  assert.throws(() => input.bind('flyAway', ['x']), /Unknown action/);
+});
+
+test('a captured key press binds instead of firing its action', () => {
+  const { input, key } = makeInput(fakeStorage());
+  let fired = false;
+  input.onAction('toggleDebug', () => { fired = true; });
+  let got = null;
+  input.captureKey((k) => { got = k; });
+  key('keydown', 'F');
+  assert.equal(got, 'f');
+  assert.equal(fired, false);
+  assert.equal(input.isDown('f'), false);
+});
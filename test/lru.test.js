@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLRU } from '../src/lru.js';
+
+test('evicts least recently used entries past the byte budget', () => {
+  const evicted = [];
+  const lru = createLRU({ maxBytes: 100, onEvict: (key) => evicted.push(key) });
+  lru.set('a', 1, 40);
+  lru.set('b', 2, 40);
+  assert.equal(lru.get('a'), 1); // b is now the oldest
+  lru.set('c', 3, 40);
+  assert.deepEqual(evicted, ['b']);
+  assert.equal(lru.bytes, 80);
+  assert.deepEqual([lru.has('a'), lru.has('b'), lru.has('c')], [true, false, true]);
+
+  // Re-setting a key replaces its size instead of adding to it.
+  lru.set('a', 1, 10);
+  assert.equal(lru.bytes, 50);
+  assert.deepEqual(evicted, ['b']);
+
+  // peek doesn't count as a use.
+  lru.peek('c');
+  lru.set('d', 4, 60);
+  assert.deepEqual(evicted, ['b', 'c']);
+  assert.equal(lru.bytes, 70);
+});
+
+test('keeps an entry larger than the whole budget until the next one', () => {
+  const lru = createLRU({ maxBytes: 10 });
+  lru.set('big', 1, 50);
+  assert.equal(lru.size, 1);
+  lru.set('small', 2, 5);
+  assert.deepEqual([lru.has('big'), lru.has('small'), lru.bytes], [false, true, 5]);
+});
+
+test('limits the entry count, and delete/clear report evictions', () => {
+  const evicted = [];
+  const lru = createLRU({ maxEntries: 2, onEvict: (key, value) => evicted.push([key, value]) });
+  lru.set(1, 'x');
+  lru.set(2, 'y');
+  lru.set(3, 'z');
+  assert.deepEqual(evicted, [[1, 'x']]);
+  assert.equal(lru.delete(2), true);
+  assert.equal(lru.delete(2), false);
+  lru.clear();
+  assert.deepEqual(evicted, [[1, 'x'], [2, 'y'], [3, 'z']]);
+  assert.deepEqual([lru.size, lru.bytes], [0, 0]);
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createPortalSystem } from '../src/portals.js';
+import { createWorld } from '../src/world.js';
+import { renderLayerImage } from '../src/mapimage.js';
+import { encodePNG } from '../tools/png.mjs';
+
+const BOUNDS = { minCX: -1, minCY: 0, maxCX: 0, maxCY: 1 };
+
+function render(seed) {
+  const portals = createPortalSystem({ seed, infinite: true });
+  const world = createWorld(portals, { seed, infinite: true });
+  return renderLayerImage(world, 1, { bounds: BOUNDS, scale: 0.25, grid: true, portals: true });
+}
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) {
+    c ^= byte;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Just enough of a PNG decoder for encodePNG's output: checks the framing
+// and every chunk CRC, then undoes the per-row Sub filter.
+function decodePNG(png) {
+  assert.deepEqual([...png.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+  const chunks = [];
+  for (let at = 8; at < png.length;) {
+    const len = png.readUInt32BE(at);
+    const type = png.toString('ascii', at + 4, at + 8);
+    const data = png.subarray(at + 8, at + 8 + len);
+    assert.equal(png.readUInt32BE(at + 8 + len), crc32(png.subarray(at + 4, at + 8 + len)), `${type} CRC`);
+    chunks.push({ type, data });
+    at += 12 + len;
+  }
+  assert.deepEqual(chunks.map((c) => c.type), ['IHDR', 'IDAT', 'IEND']);
+
+  const ihdr = chunks[0].data;
+  const width = ihdr.readUInt32BE(0), height = ihdr.readUInt32BE(4);
+  assert.deepEqual([...ihdr.subarray(8)], [8, 6, 0, 0, 0]);
+
+  const raw = inflateSync(chunks[1].data);
+  const stride = width * 4;
+  assert.equal(raw.length, (stride + 1) * height);
+  const data = new Uint8ClampedArray(stride * height);
+  for (let y = 0; y < height; y++) {
+    assert.equal(raw[y * (stride + 1)], 1);
+    for (let i = 0; i < stride; i++) {
+      const v = raw[y * (stride + 1) + 1 + i];
+      data[y * stride + i] = i < 4 ? v : (v + data[y * stride + i - 4]) & 255;
+    }
+  }
+  return { width, height, data };
+}
+
+test('the same seed and bounds render the same image', () => {
+  const a = render(5);
+  assert.deepEqual([a.width, a.height], [96, 96]);
+  assert.deepEqual(render(5), a);
+  assert.ok(encodePNG(render(5)).equals(encodePNG(a)));
+  assert.notDeepEqual(render(6).data, a.data);
+});
+
+test('encoded PNGs decode back to the pixels', () => {
+  const img = render(5);
+  assert.deepEqual(decodePNG(encodePNG(img)), img);
+});
+
+test('render-map accepts negative --bounds', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'render-map-'));
+  try {
+    const out = join(dir, 'map.png');
+    const cli = new URL('../tools/render-map.mjs', import.meta.url).pathname;
+    execFileSync(process.execPath, [cli, '--seed', '5', '--infinite', '--bounds', '-1,0,0,1', '--layer', '1',
+      '--scale', '0.25', '--grid', '--portals', '--out', out], { stdio: 'pipe' });
+    assert.ok(readFileSync(out).equals(encodePNG(render(5))));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WORLD_W, WORLD_H, CHUNK_PX, LAYER_COUNT } from '../src/config.js';
+import { createPortalSystem } from '../src/portals.js';
+import { createWorld } from '../src/world.js';
+import { createPortalGraph } from '../src/portalgraph.js';
+
+// Seeds 1 and 3 used to strand the player behind one-way portals (one of them
+// an extra, skip-layer site).
+for (const seed of [0, 1, 2, 3, 4]) {
+  test(`seed ${seed}: no portal leads into a trap`, () => {
+    const portals = createPortalSystem({ seed });
+    const world = createWorld(portals, { seed });
+    const graph = createPortalGraph(world, portals);
+    const spawn = world.findWalkable(0, WORLD_W / 2, WORLD_H / 2);
+    const report = graph.analyze(0, spawn.x, spawn.y);
+    assert.deepEqual(report.traps.map((t) => `${t.node} (${t.tiles} tiles)`), []);
+  });
+}
+
+// Two open chunks per layer with hand-placed portals (x, y) -> (toX, toY).
+function stubGraph(list) {
+  const entrances = list.map(([id, layer, x, y, toLayer, toX, toY]) => ({
+    id, idBase: id, layer, x, y, toLayer, toX, toY, mode: 'oneway',
+    cx: Math.floor(x / CHUNK_PX), cy: Math.floor(y / CHUNK_PX),
+  }));
+  const portals = {
+    entrancesForChunk: (layer, cx, cy) => entrances.filter((e) => e.layer === layer && e.cx === cx && e.cy === cy),
+  };
+  const world = { infinite: true, isSolidTile: () => false, findWalkable: (layer, x, y) => ({ x, y }) };
+  return createPortalGraph(world, portals, { bounds: { minCX: 0, minCY: 0, maxCX: 1, maxCY: 0 } });
+}
+
+test('findRoute takes the shortest walk and respects one-way links', () => {
+  const graph = stubGraph([
+    ['near', 0, 36, 36, 1, 180, 100],
+    ['far', 0, 348, 150, 1, 190, 100],
+    ['down', 1, 200, 100, 2, 100, 100],
+  ]);
+  assert.deepEqual(graph.findRoute(0, 12, 12, 0), []);
+  assert.deepEqual(graph.findRoute(0, 12, 12, 2).map((e) => e.id), ['near', 'down']);
+  assert.deepEqual(graph.findRoute(0, 340, 150, 2).map((e) => e.id), ['far', 'down']);
+  assert.equal(graph.findRoute(2, 100, 100, 0), null);
+});
+
+test('findRoute chains portals that connect in the real world', () => {
+  const seed = 0;
+  const portals = createPortalSystem({ seed });
+  const world = createWorld(portals, { seed });
+  const graph = createPortalGraph(world, portals);
+  const spawn = world.findWalkable(0, WORLD_W / 2, WORLD_H / 2);
+  for (let to = 1; to < LAYER_COUNT; to++) {
+    const route = graph.findRoute(0, spawn.x, spawn.y, to);
+    assert.ok(route && route.length > 0, `a route to layer ${to}`);
+    let at = graph.nodeAt(0, spawn.x, spawn.y);
+    for (const e of route) {
+      assert.equal(graph.nodeAt(e.layer, e.x, e.y), at, `${e.id} is walkable from the previous arrival`);
+      at = graph.nodeAt(e.toLayer, e.toX, e.toY);
+    }
+    assert.equal(route[route.length - 1].toLayer, to);
+  }
+});
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WORLD_CHUNKS_W, WORLD_CHUNKS_H, LAYER_COUNT, TILE, PORTAL_MODE } from '../src/config.js';
+import { createPortalSystem } from '../src/portals.js';
+import { createWorld } from '../src/world.js';
+
+function teleports(portals, cx0, cy0, cx1, cy1) {
+  const out = [];
+  for (let layer = 0; layer < LAYER_COUNT; layer++) {
+    for (let cy = cy0; cy <= cy1; cy++) {
+      for (let cx = cx0; cx <= cx1; cx++) {
+        out.push(...portals.entrancesForChunk(layer, cx, cy).filter((e) => e.kind === 'teleport'));
+      }
+    }
+  }
+  return out;
+}
+
+function allEntrances(portals) {
+  const out = [];
+  for (let layer = 0; layer < LAYER_COUNT; layer++) {
+    for (let cy = 0; cy < WORLD_CHUNKS_H; cy++) {
+      for (let cx = 0; cx < WORLD_CHUNKS_W; cx++) out.push(...portals.entrancesForChunk(layer, cx, cy));
+    }
+  }
+  return out;
+}
+
+// Walkable tiles reachable from (x, y), counting up to `limit`.
+function openArea(world, layer, x, y, limit) {
+  const stack = [[Math.floor(x / TILE), Math.floor(y / TILE)]];
+  const seen = new Set([stack[0].join(',')]);
+  let count = 0;
+  while (stack.length && count < limit) {
+    const [tx, ty] = stack.pop();
+    count++;
+    for (const [nx, ny] of [[tx + 1, ty], [tx - 1, ty], [tx, ty + 1], [tx, ty - 1]]) {
+      const k = `${nx},${ny}`;
+      if (seen.has(k) || world.isSolidTile(layer, nx, ny)) continue;
+      seen.add(k);
+      stack.push([nx, ny]);
+    }
+  }
+  return count;
+}
+
+// The exit of a teleport is a teleport leading straight back to it.
+function assertPaired(portals, e) {
+  const [, cx, cy] = e.toIdBase.split(':').map(Number);
+  const back = portals.entrancesForChunk(e.toLayer, cx, cy).find((b) => b.kind === 'teleport');
+  assert.ok(back, `${e.id} has a way back`);
+  assert.equal(back.toIdBase, e.idBase);
+  assert.equal(back.toLayer, e.layer);
+  assert.deepEqual([back.toX, back.toY], [e.x, e.y]);
+  assert.equal(back.dirIdx, (e.dirIdx + 2) & 3);
+}
+
+test('teleport ends pair up both ways', () => {
+  for (const seed of [0, 1, 2, 3, 4]) {
+    const portals = createPortalSystem({ seed });
+    const list = teleports(portals, 0, 0, WORLD_CHUNKS_W - 1, WORLD_CHUNKS_H - 1);
+    assert.ok(list.length > 0, `seed ${seed} has teleports`);
+    for (const e of list) assertPaired(portals, e);
+  }
+});
+
+test('teleport ends pair up across negative chunks in infinite worlds', () => {
+  const portals = createPortalSystem({ seed: 7, infinite: true });
+  const list = teleports(portals, -16, -16, 15, 15);
+  assert.ok(list.length > 0);
+  for (const e of list) assertPaired(portals, e);
+});
+
+test('portals arrive on open ground, one-way ones outside walled-in pockets', () => {
+  for (const seed of [0, 1, 2, 3, 4]) {
+    const portals = createPortalSystem({ seed });
+    const world = createWorld(portals, { seed });
+    for (const e of allEntrances(portals)) {
+      assert.equal(world.isSolidAt(e.toLayer, e.toX, e.toY), false, `seed ${seed}: ${e.id} arrives inside rock`);
+      if (e.mode !== 'oneway') continue;
+      const area = openArea(world, e.toLayer, e.toX, e.toY, PORTAL_MODE.pocketTiles);
+      assert.equal(area, PORTAL_MODE.pocketTiles, `seed ${seed}: one-way ${e.id} arrives in a ${area}-tile pocket`);
+    }
+  }
+});
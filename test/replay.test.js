@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from '../src/simulation.js';
+import { createRecorder, validateReplay, verifyReplay, REPLAY_VERSION } from '../src/replay.js';
+
+function record(steps) {
+  const sim = createSimulation({ seed: 7 });
+  const recorder = createRecorder(sim);
+  recorder.start();
+  for (let i = 0; i < steps; i++) {
+    const input = { moveX: i < steps / 2 ? 1 : -0.5, moveY: 0.3, sprint: i % 20 < 10 };
+    recorder.record(input, 1 / 60, sim.step(input, 1 / 60));
+  }
+  return recorder.stop();
+}
+
+test('a recording replays to the same end state', () => {
+  const rec = JSON.parse(JSON.stringify(record(120)));
+  assert.equal(verifyReplay(rec).ok, true);
+});
+
+test('validateReplay rejects files that cannot be replayed', () => {
+  const rec = record(10);
+  assert.throws(() => validateReplay(null), /not a replay/);
+  assert.throws(() => validateReplay({ ...rec, version: REPLAY_VERSION - 1 }), /version/);
+  assert.throws(() => validateReplay({ ...rec, seed: 'x' }), /seed/);
+  assert.throws(() => validateReplay({ ...rec, start: null }), /start/);
+  assert.throws(() => validateReplay({ ...rec, start: { ...rec.start, layer: 99 } }), /start/);
+  assert.throws(() => validateReplay({ ...rec, frames: [[1, 0]] }), /frames/);
+  assert.equal(validateReplay(rec), rec);
+});
+
+test('validateReplay requires an end state', () => {
+  const rec = record(10);
+  assert.throws(() => validateReplay({ ...rec, end: null }), /end state/);
+  assert.throws(() => validateReplay({ ...rec, end: 5 }), /end state/);
+  assert.throws(() => validateReplay({ ...rec, end: { ...rec.end, x: 'a' } }), /end state/);
+  assert.throws(() => validateReplay({ ...rec, end: { ...rec.end, layer: -1 } }), /end state/);
+});
+
+test('validateReplay rejects non-numeric inputs and out-of-range frame times', () => {
+  const rec = record(10);
+  const withFrame = (f) => ({ ...rec, frames: [...rec.frames, f] });
+  assert.throws(() => validateReplay(withFrame([null, 0, 0, 1 / 60])), /frames/);
+  assert.throws(() => validateReplay(withFrame([0, NaN, 0, 1 / 60])), /frames/);
+  assert.throws(() => validateReplay(withFrame([0, 0, '1', 1 / 60])), /frames/);
+  assert.throws(() => validateReplay(withFrame([0, 0, 0, 0])), /frames/);
+  assert.throws(() => validateReplay(withFrame([0, 0, 0, -1 / 60])), /frames/);
+  assert.throws(() => validateReplay(withFrame([0, 0, 0, 10])), /frames/);
+  assert.equal(validateReplay(withFrame([0, 0, 0, 8 / 60])).frames.length, 11);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mixSeed, parseSeed } from '../src/rng.js';
+import { WORLD_CHUNKS_W, WORLD_CHUNKS_H } from '../src/config.js';
+import { createPortalSystem } from '../src/portals.js';
+import { createWorld } from '../src/world.js';
+
+test('mixSeed keeps seed 0 classic and spreads other seeds', () => {
+  assert.equal(mixSeed(9001, 0), 9001);
+  const salts = new Set([1, 2, 3, 0xffffffff, -1].map((s) => mixSeed(9001, s)));
+  assert.equal(salts.size, 4); // -1 is the same world as 0xffffffff
+  for (const s of salts) assert.ok(Number.isInteger(s) && s >= 0 && s <= 0xffffffff);
+});
+
+test('parseSeed accepts numbers, numeric strings and text', () => {
+  assert.equal(parseSeed(42), 42);
+  assert.equal(parseSeed('42'), 42);
+  assert.equal(parseSeed(' 7 '), 7);
+  assert.equal(parseSeed(-1), 0xffffffff);
+  assert.equal(parseSeed(''), 0);
+  assert.equal(parseSeed(undefined), 0);
+  assert.equal(parseSeed('hello'), parseSeed('hello'));
+  assert.notEqual(parseSeed('hello'), parseSeed('world'));
+});
+
+function layout(seed) {
+  const portals = createPortalSystem({ seed });
+  const world = createWorld(portals, { seed });
+  const sites = [];
+  for (let cy = 0; cy < WORLD_CHUNKS_H; cy++) {
+    for (let cx = 0; cx < WORLD_CHUNKS_W; cx++) {
+      for (const e of portals.entrancesForChunk(0, cx, cy)) sites.push([e.id, e.x, e.y, e.toLayer]);
+    }
+  }
+  const biomes = [];
+  for (let i = 0; i < 64; i++) biomes.push(world.biomeAt(1, i * 397, i * 211).region);
+  return { sites, biomes };
+}
+
+test('the seed reaches portal and world generation', () => {
+  assert.deepEqual(layout(5), layout(5));
+  const a = layout(0), b = layout(5);
+  assert.notDeepEqual(a.sites, b.sites);
+  assert.notDeepEqual(a.biomes, b.biomes);
+});
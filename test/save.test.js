@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createSimulation } from '../src/simulation.js';
+import { createExploration } from '../src/explore.js';
+import { makeSave, validateSave } from '../src/save.js';
+
+function save() {
+  const sim = createSimulation({ seed: 42 });
+  const exploration = createExploration();
+  exploration.reveal(sim.layer, sim.player.x, sim.player.y, 100);
+  return JSON.parse(JSON.stringify(makeSave(sim, exploration)));
+}
+
+test('a fresh save validates', () => {
+  const data = save();
+  assert.equal(validateSave(data), data);
+  assert.equal(validateSave({ ...data, explored: null }).explored, null);
+});
+
+test('saves without a usable seed are rejected', () => {
+  const data = save();
+  for (const seed of [undefined, null, '42', 1.5, -1, 2 ** 32]) {
+    assert.throws(() => validateSave({ ...data, state: { ...data.state, seed } }), /seed/);
+  }
+});
+
+test('malformed explored data is rejected', () => {
+  const data = save();
+  for (const explored of [{}, [[1, 2, 'ff']], [[[0, 0, 'xyz']]], [[[0, 'a', '0'.repeat(16)]]]]) {
+    assert.throws(() => validateSave({ ...data, explored }), /explored/);
+  }
+});
+
+test('non-numeric velocities and timers are rejected', () => {
+  const data = save();
+  for (const k of ['vx', 'vy', 'cooldown', 'time']) {
+    for (const v of ['1', null, NaN, Infinity]) {
+      assert.throws(() => validateSave({ ...data, state: { ...data.state, [k]: v } }), new RegExp(`bad ${k}`));
+    }
+  }
+  const { vx, vy, cooldown, ...rest } = data.state;
+  assert.ok(validateSave({ ...data, state: rest }));
+});
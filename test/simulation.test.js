@@ -0,0 +1,131 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { WORLD_CHUNKS_W, WORLD_CHUNKS_H } from '../src/config.js';
+import { createSimulation } from '../src/simulation.js';
+import { createPortalSystem } from '../src/portals.js';
+
+const DT = 1 / 60;
+
+function findEntrance(portals, layer, match) {
+  for (let cy = 0; cy < WORLD_CHUNKS_H; cy++) {
+    for (let cx = 0; cx < WORLD_CHUNKS_W; cx++) {
+      const e = portals.entrancesForChunk(layer, cx, cy).find(match);
+      if (e) return e;
+    }
+  }
+  return null;
+}
+
+// A simulation standing `back` px in front of the mouth, at rest.
+function approach(e, back = 50) {
+  return createSimulation({ seed: 0, layer: e.layer, x: e.x - e.dir.dx * back, y: e.y - e.dir.dy * back });
+}
+
+test('runs without a DOM', () => {
+  assert.equal(typeof document, 'undefined');
+  const sim = createSimulation({ seed: 0 });
+  assert.deepEqual(sim.step({ moveX: 1, moveY: 0 }, DT).filter((ev) => ev.type === 'layerChanged'), []);
+});
+
+test('the same inputs give the same trajectory', () => {
+  const a = createSimulation({ seed: 3 });
+  const b = createSimulation({ seed: 3 });
+  for (let i = 0; i < 240; i++) {
+    const input = { moveX: Math.sin(i / 20), moveY: Math.cos(i / 31), sprint: i % 90 < 30 };
+    a.step(input, DT);
+    b.step(input, DT);
+  }
+  assert.deepEqual([a.layer, a.player.x, a.player.y], [b.layer, b.player.x, b.player.y]);
+});
+
+test('walking through a two-way portal changes layer', () => {
+  const e = findEntrance(createPortalSystem({ seed: 0 }), 0, (en) => en.kind === 'stacked' && en.mode === 'twoway');
+  assert.ok(e, 'seed 0 has a two-way portal on the surface');
+
+  const sim = approach(e);
+  const types = [];
+  for (let i = 0; i < 120 && !types.includes('layerChanged'); i++) {
+    for (const ev of sim.step({ moveX: e.dir.dx, moveY: e.dir.dy }, DT)) types.push(ev.type);
+  }
+  assert.deepEqual(types.filter((t) => t.startsWith('transition') || t === 'layerChanged'),
+    ['transitionStarted', 'transitionCommitted', 'layerChanged']);
+  assert.equal(sim.layer, e.toLayer);
+  assert.equal(sim.trans.active, false);
+  assert.ok(sim.trans.cooldown > 0);
+});
+
+test('backing out of the mouth aborts and keeps the layer', () => {
+  const e = findEntrance(createPortalSystem({ seed: 0 }), 0, (en) => en.kind === 'stacked' && en.mode === 'twoway');
+  const sim = approach(e);
+  const walk = (steps, sign) => {
+    const types = [];
+    for (let i = 0; i < steps; i++) {
+      for (const ev of sim.step({ moveX: e.dir.dx * sign, moveY: e.dir.dy * sign }, DT)) types.push(ev.type);
+    }
+    return types;
+  };
+
+  for (let i = 0; i < 120 && !sim.trans.active; i++) walk(1, 1);
+  assert.equal(sim.trans.active, true);
+  walk(4, 1);
+  assert.ok(sim.trans.progress > 0 && sim.trans.progress < 1);
+  const types = walk(60, -1);
+
+  assert.ok(types.includes('transitionAborted'));
+  assert.ok(!types.includes('transitionCommitted'));
+  assert.equal(sim.layer, e.layer);
+  assert.equal(sim.trans.active, false);
+  assert.equal(sim.trans.cooldown, 0);
+});
+
+test('a teleport moves the player to its exit site', () => {
+  const portals = createPortalSystem({ seed: 0 });
+  const e = findEntrance(portals, 0, (en) => en.kind === 'teleport')
+    ?? findEntrance(portals, 1, (en) => en.kind === 'teleport');
+  assert.ok(e, 'seed 0 has a teleport');
+
+  const sim = approach(e);
+  const events = [];
+  for (let i = 0; i < 120 && !events.some((ev) => ev.type === 'teleported'); i++) {
+    events.push(...sim.step({ moveX: e.dir.dx, moveY: e.dir.dy }, DT));
+  }
+  assert.ok(events.some((ev) => ev.type === 'teleported'));
+  assert.equal(sim.layer, e.toLayer);
+  assert.ok(Math.hypot(sim.player.x - e.toX, sim.player.y - e.toY) < e.depth + e.mouthH);
+});
+
+// Endless open floor of one material, no portals.
+function floorSim(material) {
+  const world = {
+    infinite: true,
+    isSolidTile: () => false,
+    findWalkable: (layer, x, y) => ({ x, y }),
+    getNearbyEntrances: () => [],
+    materialAt: () => material,
+  };
+  return createSimulation({ seed: 0, world, x: 0, y: 0 });
+}
+
+function run(sim, input, steps) {
+  for (let i = 0; i < steps; i++) sim.step(input, DT);
+  return Math.hypot(sim.player.vx, sim.player.vy);
+}
+
+test('ground materials scale top speed, acceleration and friction', () => {
+  const plain = { name: 'plain', walkable: true };
+  const top = run(floorSim(plain), { moveX: 1, moveY: 0 }, 120);
+  assert.ok(Math.abs(run(floorSim({ ...plain, speed: 0.5 }), { moveX: 1, moveY: 0 }, 120) - top * 0.5) < 1e-6);
+  assert.ok(Math.abs(run(floorSim({ ...plain, speed: 0.5 }), { moveX: 1, moveY: 0, sprint: true }, 120) - top * 0.5 * 1.45) < 1e-6);
+
+  // Slow acceleration: still short of top speed after a few steps.
+  assert.ok(run(floorSim({ ...plain, accel: 0.25 }), { moveX: 1, moveY: 0 }, 6) < run(floorSim(plain), { moveX: 1, moveY: 0 }, 6));
+
+  // Low friction (with low grip, like snow): keeps sliding after the input
+  // is released.
+  const coast = (material) => {
+    const sim = floorSim(material);
+    run(sim, { moveX: 1, moveY: 0 }, 120);
+    return run(sim, { moveX: 0, moveY: 0 }, 30);
+  };
+  assert.ok(coast({ ...plain, accel: 0.1, friction: 0.2 }) > coast({ ...plain, accel: 0.1 }) * 5);
+});
@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TILE } from '../src/config.js';
+import { portalInfoText } from '../src/ui.js';
+
+test('portal info names the destination, direction and one-way portals', () => {
+  assert.equal(portalInfoText({ toLayer: 1, kind: 'stacked', mode: 'twoway', distance: 10 * TILE, angle: 0 }), 'Portal to Cave · 10 tiles →');
+  assert.equal(portalInfoText({ toLayer: 2, kind: 'stacked', mode: 'oneway', distance: 3 * TILE, angle: Math.PI / 2 }),
+    'Portal to Deep · one-way, no way back · 3 tiles ↓');
+  assert.equal(portalInfoText({ toLayer: 0, kind: 'teleport', mode: 'twoway', distance: 2 * TILE, angle: -Math.PI / 2 }), 'Teleport to Surface · 2 tiles ↑');
+  assert.equal(portalInfoText({ toLayer: 0, kind: 'stacked', mode: 'twoway', distance: 1, angle: 0 }), 'Portal to Surface · here');
+  assert.equal(portalInfoText({ toLayer: 1, kind: 'stacked', mode: 'oneway', transitioning: true }), 'Entering: Portal to Cave · one-way, no way back');
+});
+
+test('the direction arrow wraps around', () => {
+  const arrow = (angle) => portalInfoText({ toLayer: 1, kind: 'stacked', mode: 'twoway', distance: 5 * TILE, angle }).slice(-1);
+  assert.equal(arrow(Math.PI), '←');
+  assert.equal(arrow(-Math.PI), '←');
+  assert.equal(arrow(-Math.PI / 4), '↗');
+  assert.equal(arrow(Math.PI * 2 - 0.1), '→');
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPortalSystem } from '../src/portals.js';
+import { createWorld } from '../src/world.js';
+
+// Stand-in for chunkpool.js: holds callbacks until the test answers them.
+function fakePool() {
+  const jobs = [];
+  return {
+    jobs,
+    request: (layer, cx, cy, cb) => jobs.push({ layer, cx, cy, cb }),
+    promote() {},
+    broken: false,
+  };
+}
+
+const answer = (job) => job.cb({ bitmap: { close() { job.closed = true; } }, ms: 1 });
+
+test('clearCache drops results of requests made before it', () => {
+  const workers = fakePool();
+  const world = createWorld(createPortalSystem({ seed: 0 }), { seed: 0, workers });
+
+  assert.equal(world.prefetchChunk(0, 2, 3), true);
+  assert.equal(world.pendingCount, 1);
+  world.clearCache();
+  assert.equal(world.pendingCount, 0);
+
+  // The same chunk can be requested again right away.
+  assert.equal(world.prefetchChunk(0, 2, 3), true);
+  const [stale, fresh] = workers.jobs;
+  answer(stale);
+  assert.equal(stale.closed, true);
+  assert.equal(world.cacheSize, 0);
+  assert.equal(world.pendingCount, 1);
+
+  answer(fresh);
+  assert.equal(world.cacheSize, 1);
+  assert.equal(world.pendingCount, 0);
+});
+
+test('infinite worlds have terrain past the bounded edges, the same every time', () => {
+  const make = () => createWorld(createPortalSystem({ seed: 3, infinite: true }), { seed: 3, infinite: true });
+  const a = make(), b = make();
+  let open = 0;
+  for (let ty = -200; ty < -120; ty += 3) {
+    for (let tx = -300; tx < -200; tx += 3) {
+      const solid = a.isSolidTile(1, tx, ty);
+      assert.equal(solid, b.isSolidTile(1, tx, ty));
+      if (!solid) open++;
+    }
+  }
+  assert.ok(open > 0, 'walkable ground at negative coordinates');
+  assert.ok(a.chunkRangeForRect(-5000, -5000, { x: 0, y: 0, w: 100, h: 100 }).minCX < 0);
+
+  // The bounded world is walled in.
+  const bounded = createWorld(createPortalSystem({ seed: 3 }), { seed: 3 });
+  assert.equal(bounded.isSolidTile(1, -5, 10), true);
+  assert.equal(bounded.chunkRangeForRect(-5000, -5000, { x: 0, y: 0, w: 100, h: 100 }).minCX, 0);
+});
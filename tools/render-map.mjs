@@ -0,0 +1,99 @@
+// Render whole layers of a world to a PNG, headless.
+//
+//   node tools/render-map.mjs [options]
+//
+//   --seed <n|text>     world seed (default: DEFAULT_SEED)
+//   --layer <n|all>     one layer, or every layer side by side (default: all)
+//   --infinite          infinite world; needs --bounds
+//   --bounds x0,y0,x1,y1  chunk rectangle, inclusive (default: the whole world);
+//                       negative values work as --bounds -3,-3,3,3 or --bounds=-3,-3,3,3
+//   --scale <s>         output px per world px (default: 0.25)
+//   --portals           draw portal markers (minimap shapes and colours)
+//   --grid              draw chunk borders
+//   --out <file.png>    output file (default: map-<seed>-<layer>.png)
+//   --expect <file.png> golden image: exit 1 if the output differs from it
+//
+// Generation is deterministic, so the same options always give the same bytes.
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { DEFAULT_SEED, LAYER_COUNT, LAYER_NAMES } from '../src/config.js';
+import { parseSeed } from '../src/rng.js';
+import { createPortalSystem } from '../src/portals.js';
+import { createWorld } from '../src/world.js';
+import { renderLayerImage, sideBySide } from '../src/mapimage.js';
+import { encodePNG } from './png.mjs';
+
+function fail(message) {
+  console.error(`render-map: ${message}`);
+  process.exit(2);
+}
+
+function parseBounds(text) {
+  const n = String(text).split(',').map(Number);
+  if (n.length !== 4 || !n.every(Number.isInteger)) fail(`bad --bounds "${text}" (want x0,y0,x1,y1)`);
+  const [minCX, minCY, maxCX, maxCY] = n;
+  if (maxCX < minCX || maxCY < minCY) fail(`empty --bounds "${text}"`);
+  return { minCX, minCY, maxCX, maxCY };
+}
+
+function parseLayers(text) {
+  if (text === 'all') return [...Array(LAYER_COUNT).keys()];
+  const byName = LAYER_NAMES.findIndex((n) => n.toLowerCase() === text.toLowerCase());
+  const layer = byName >= 0 ? byName : Number(text);
+  if (!Number.isInteger(layer) || layer < 0 || layer >= LAYER_COUNT) fail(`no such layer "${text}"`);
+  return [layer];
+}
+
+const OPTIONS = {
+  seed: { type: 'string' },
+  layer: { type: 'string', default: 'all' },
+  infinite: { type: 'boolean', default: false },
+  bounds: { type: 'string' },
+  scale: { type: 'string', default: '0.25' },
+  portals: { type: 'boolean', default: false },
+  grid: { type: 'boolean', default: false },
+  out: { type: 'string' },
+  expect: { type: 'string' },
+};
+
+// parseArgs refuses "--bounds -3,-3,3,3" as ambiguous (the value looks like
+// an option), so glue a string option to its value: "--bounds=-3,-3,3,3".
+function joinValues(argv) {
+  const out = [];
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].startsWith('--') ? argv[i].slice(2) : null;
+    if (OPTIONS[name]?.type === 'string' && i + 1 < argv.length) out.push(`${argv[i]}=${argv[++i]}`);
+    else out.push(argv[i]);
+  }
+  return out;
+}
+
+const { values: args } = parseArgs({ args: joinValues(process.argv.slice(2)), options: OPTIONS });
+
+const seed = parseSeed(args.seed ?? DEFAULT_SEED);
+const layers = parseLayers(args.layer);
+const bounds = args.bounds ? parseBounds(args.bounds) : undefined;
+const scale = Number(args.scale);
+if (!(scale > 0 && scale <= 4)) fail(`bad --scale "${args.scale}" (0 < s <= 4)`);
+if (args.infinite && !bounds) fail('--infinite needs --bounds');
+
+const portals = createPortalSystem({ seed, infinite: args.infinite });
+const world = createWorld(portals, { seed, infinite: args.infinite });
+
+const t0 = performance.now();
+const images = layers.map((layer) => renderLayerImage(world, layer, { bounds, scale, grid: args.grid, portals: args.portals }));
+const png = encodePNG(images.length === 1 ? images[0] : sideBySide(images));
+const ms = performance.now() - t0;
+
+const out = args.out ?? `map-${seed}-${args.layer}.png`;
+writeFileSync(out, png);
+console.log(`${out}: seed ${seed}, ${layers.map((l) => LAYER_NAMES[l]).join(' | ')}, ${png.length} bytes in ${ms.toFixed(0)} ms`);
+
+if (args.expect) {
+  if (!existsSync(args.expect)) fail(`no golden image at ${args.expect}`);
+  if (!png.equals(readFileSync(args.expect))) {
+    console.error(`render-map: ${out} differs from ${args.expect}`);
+    process.exit(1);
+  }
+  console.log(`matches ${args.expect}`);
+}